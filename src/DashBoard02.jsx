@@ -1,51 +1,14 @@
 import React, { useState, useEffect } from "react";
 import axios from "axios";
-
-// -----------------------------------------------------------------------------
-// 📁 Utility Function: Export logged data as CSV
-// -----------------------------------------------------------------------------
-const exportToCSV = (data, filename = "cansat_log.csv") => {
-  if (!data || data.length === 0) return;
-
-  // Define CSV headers
-  const headers = [
-    "altitude",
-    "pressure",
-    "temperature",
-    "humidity",
-    "battery",
-    "compass",
-    "latitude",
-    "longitude",
-    "satellites",
-    "esp32Time",
-    "dashboardTime",
-  ];
-
-  // Format each row
-  const csvRows = data.map((row) =>
-    headers.map((header) => row[header] || "").join(",")
-  );
-
-  // Build CSV file content
-  const csvContent = headers.join(",") + "\n" + csvRows.join("\n");
-
-  // Create a downloadable file
-  const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-  const link = document.createElement("a");
-  link.href = URL.createObjectURL(blob);
-  link.setAttribute("download", filename);
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-};
+import { exportLog } from "./export/logExport";
+import { loadLastLink } from "./telemetry/useConnectionForm";
 
 // -----------------------------------------------------------------------------
 // 📊 React Component: DashBoard02
 // -----------------------------------------------------------------------------
 const DashBoard02 = () => {
   // 🔹 State Variables
-  const [ip, setIp] = useState(""); // ESP32 IP address
+  const [ip, setIp] = useState(() => loadLastLink().ip); // ESP32 IP address
   const [connected, setConnected] = useState(false); // Connection status
   const [sensorData, setSensorData] = useState({}); // Latest ESP32 data
   const [logData, setLogData] = useState([]); // Historical log
@@ -117,7 +80,7 @@ const DashBoard02 = () => {
       alert("No data to save.");
       return;
     }
-    exportToCSV(logData);
+    exportLog(logData, "csv");
   };
 
   // ---------------------------------------------------------------------------
@@ -0,0 +1,64 @@
+import React from "react";
+import { Helmet } from "react-helmet";
+import useKit from "./devices/useKit";
+import useTelemetrySchema from "./telemetry/useTelemetrySchema";
+import AlertRulesEditor from "./components/AlertRulesEditor";
+import TelemetrySchemaSettings from "./components/TelemetrySchemaSettings";
+import KitConsole from "./components/KitConsole";
+import useGroundStation from "./utils/useGroundStation";
+
+// -----------------------------------------------------------------------------
+// 🧩 React Component: DashBoard05 (widget workspace)
+// -----------------------------------------------------------------------------
+// Same link, logging and alert handling as DashBoard03, but the telemetry is
+// shown in user-arranged widgets with named, saved layouts.
+const DashBoard05 = () => {
+  // 🔹 State Variables
+  const telemetrySchema = useTelemetrySchema();
+  const kit = useKit({
+    telemetry: { dashboard: "workspace" },
+    schema: telemetrySchema.schema,
+  });
+  const groundStation = useGroundStation();
+  const { fields, alerts, connection } = kit;
+
+  // ---------------------------------------------------------------------------
+  // 🖼️ UI Rendering
+  // ---------------------------------------------------------------------------
+  return (
+    <div className="px-4 min-h-screen bg-gray-900 text-white flex flex-col items-center py-6">
+      <Helmet>
+        <title>CanSat Ground Control System | BRACU Diganta</title>
+      </Helmet>
+
+      <h1 className="text-2xl font-bold mb-4 text-center">
+        BRACU Diganta CanSat Learning Kit
+      </h1>
+
+      <KitConsole
+        kit={kit}
+        groundStation={groundStation.station}
+        settings={
+          <>
+            <AlertRulesEditor
+              rules={alerts.rules}
+              fields={fields.filter((entry) => entry.group !== "system")}
+              onChange={alerts.setRules}
+              onReset={alerts.resetRules}
+            />
+            <TelemetrySchemaSettings
+              schema={telemetrySchema.schema}
+              source={telemetrySchema.schemaSource}
+              onLoadFile={telemetrySchema.loadFile}
+              onFetch={telemetrySchema.fetchFromDevice}
+              deviceIp={connection.ip}
+              onReset={telemetrySchema.resetSchema}
+            />
+          </>
+        }
+      />
+    </div>
+  );
+};
+
+export default DashBoard05;
@@ -0,0 +1,90 @@
+import React, { useState } from "react";
+import { Helmet } from "react-helmet";
+import useDevices from "./devices/useDevices";
+import useTelemetrySchema from "./telemetry/useTelemetrySchema";
+import useGroundStation from "./utils/useGroundStation";
+import DeviceMonitor from "./components/DeviceMonitor";
+import TelemetrySchemaSettings from "./components/TelemetrySchemaSettings";
+
+// -----------------------------------------------------------------------------
+// 🛰️ React Component: DashBoard06 (several kits at once)
+// -----------------------------------------------------------------------------
+// Each kit has its own name, colour, transport and flight log. The overview
+// shows a card per kit; "Open" drills into that kit's full view while the
+// others keep their links and logs running in the background.
+const DashBoard06 = () => {
+  const { devices, addDevice, updateDevice, removeDevice } = useDevices();
+  const telemetrySchema = useTelemetrySchema();
+  const groundStation = useGroundStation();
+  const [openId, setOpenId] = useState(null); // Kit in full view, if any
+  const opened = devices.some((device) => device.id === openId);
+
+  const viewOf = (device) => {
+    if (!opened) return "card";
+    return device.id === openId ? "full" : "hidden";
+  };
+
+  return (
+    <div className="px-4 min-h-screen bg-gray-900 text-white flex flex-col items-center py-6">
+      <Helmet>
+        <title>CanSat Ground Control System | BRACU Diganta</title>
+      </Helmet>
+
+      <h1 className="text-2xl font-bold mb-4 text-center">
+        BRACU Diganta CanSat Learning Kit
+      </h1>
+
+      {!opened && (
+        <>
+          <div className="flex gap-1 mb-2 w-full max-w-md text-sm">
+            <button
+              onClick={addDevice}
+              className="px-2 py-1 font-semibold rounded bg-green-600"
+            >
+              + Add kit
+            </button>
+          </div>
+          <TelemetrySchemaSettings
+            schema={telemetrySchema.schema}
+            source={telemetrySchema.schemaSource}
+            onLoadFile={telemetrySchema.loadFile}
+            onReset={telemetrySchema.resetSchema}
+          />
+          {devices.length === 0 && (
+            <p className="text-gray-400 text-sm">
+              Add a kit for every CanSat you want to watch.
+            </p>
+          )}
+        </>
+      )}
+
+      {/* 🗂️ One card per kit, or one kit's full view */}
+      <div
+        className={
+          opened
+            ? "w-full"
+            : "grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 w-full"
+        }
+      >
+        {devices.map((device) => (
+          <DeviceMonitor
+            key={device.id}
+            device={device}
+            schema={telemetrySchema.schema}
+            groundStation={groundStation.station}
+            view={viewOf(device)}
+            onOpen={() => setOpenId(device.id)}
+            onClose={() => setOpenId(null)}
+            onChange={(changes) => updateDevice(device.id, changes)}
+            onRemove={() => {
+              setOpenId(null);
+              removeDevice(device.id);
+            }}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DashBoard06;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
 import axios from "axios";
+import { loadLastLink } from "./telemetry/useConnectionForm";
 
 // import { Helmet } from "react-helmet";
 
@@ -21,10 +22,7 @@ import axios from "axios";
 // </Helmet>
 
 const Dashboard01 = () => {
-  // const [ip, setIp] = useState("");
-
-  // default for testing
-  const [ip, setIp] = useState("192.168.31.233");
+  const [ip, setIp] = useState(() => loadLastLink().ip); // Last IP used
 
   const [connected, setConnected] = useState(false);
   const [data, setData] = useState("");
@@ -1,18 +1,55 @@
-import React from "react";
+import React, { useState } from "react";
 import Dashboard01 from "./Dashboard01";
 import BasicConnection from "./BasicConnection";
 import DashBoard02 from "./DashBoard02";
 import DashBoard03 from "./DashBoard03";
 import DashBoard04 from "./DashBoard04";
+import DashBoard05 from "./DashBoard05";
+import DashBoard06 from "./DashBoard06";
+
+const STORAGE_KEY = "cansat.dashboard";
+
+const DASHBOARDS = {
+  workspace: { label: "Workspace", component: DashBoard05 },
+  fleet: { label: "Several kits", component: DashBoard06 },
+  classic: { label: "Classic", component: DashBoard03 },
+  bluetooth: { label: "Bluetooth", component: DashBoard04 },
+  // basic: { label: "Basic", component: DashBoard02 },
+  // connection: { label: "Connection test", component: BasicConnection },
+  // first: { label: "First version", component: Dashboard01 },
+};
+
+const loadDashboard = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return stored in DASHBOARDS ? stored : "workspace";
+};
 
 const Home = () => {
+  const [dashboard, setDashboard] = useState(loadDashboard); // Shown dashboard
+  const Dashboard = DASHBOARDS[dashboard].component;
+
+  const selectDashboard = (key) => {
+    setDashboard(key);
+    localStorage.setItem(STORAGE_KEY, key);
+  };
+
   return (
     <div>
-      {/* <DashBoard02></DashBoard02> */}
-      {/* <DashBoard04></DashBoard04> */}
-      <DashBoard03></DashBoard03>
-      {/* <BasicConnection></BasicConnection> */}
-      {/* <Dashboard01></Dashboard01> */}
+      {/* 🔀 Dashboard picker (the last one used comes back on reload) */}
+      <nav className="flex justify-center gap-1 py-1 bg-gray-900 text-white text-sm">
+        {Object.entries(DASHBOARDS).map(([key, { label }]) => (
+          <button
+            key={key}
+            onClick={() => selectDashboard(key)}
+            className={`px-2 rounded ${
+              dashboard === key ? "bg-blue-500" : "bg-gray-700"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </nav>
+      <Dashboard />
     </div>
   );
 };
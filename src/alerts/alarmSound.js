@@ -0,0 +1,36 @@
+// -----------------------------------------------------------------------------
+// 🔊 Alarm tones via Web Audio, so no sound files need to be cached offline
+// -----------------------------------------------------------------------------
+
+const TONES = {
+  warning: [{ frequency: 660, at: 0, length: 0.25 }],
+  critical: [
+    { frequency: 880, at: 0, length: 0.15 },
+    { frequency: 880, at: 0.25, length: 0.15 },
+    { frequency: 880, at: 0.5, length: 0.15 },
+  ],
+};
+
+let audioContext = null;
+
+export const playAlarm = (severity) => {
+  const tones = TONES[severity];
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!tones || !AudioContext) return;
+
+  audioContext ||= new AudioContext();
+  // Browsers start the context suspended until the page has had a click
+  if (audioContext.state === "suspended") audioContext.resume().catch(() => {});
+
+  const start = audioContext.currentTime;
+  tones.forEach(({ frequency, at, length }) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.type = "square";
+    oscillator.frequency.value = frequency;
+    gain.gain.value = 0.1;
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start + at);
+    oscillator.stop(start + at + length);
+  });
+};
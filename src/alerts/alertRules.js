@@ -0,0 +1,173 @@
+import { findField, isMissing } from "../telemetry/telemetrySchema";
+
+// -----------------------------------------------------------------------------
+// 🚨 Alert rules: thresholds, rate of change, staleness and link errors
+// -----------------------------------------------------------------------------
+// A rule is plain data so it can be edited in the UI and kept in localStorage:
+//   { id, field, condition, value, min, max, severity, enabled }
+// `field` is any telemetry key; "any" stands for "any packet at all" in
+// staleness rules. Messages use the field's label and unit from the schema.
+
+export const ANY_FIELD = "any";
+
+export const SEVERITIES = {
+  info: {
+    label: "Info",
+    rank: 0,
+    className: "bg-blue-700",
+    repeatMs: null, // Banner only, no sound
+  },
+  warning: {
+    label: "Warning",
+    rank: 1,
+    className: "bg-yellow-600",
+    repeatMs: 5000,
+  },
+  critical: {
+    label: "Critical",
+    rank: 2,
+    className: "bg-red-600 animate-pulse",
+    repeatMs: 1500,
+  },
+};
+
+export const CONDITIONS = {
+  below: { label: "below", uses: ["value"] },
+  above: { label: "above", uses: ["value"] },
+  outside: { label: "outside", uses: ["min", "max"] },
+  rate: { label: "changes faster than (/s)", uses: ["value"] },
+  stale: { label: "missing for (s)", uses: ["value"] },
+  linkError: { label: "link error", uses: [] },
+};
+
+export const DEFAULT_RULES = [
+  {
+    id: "battery-low",
+    field: "battery",
+    condition: "below",
+    value: 20,
+    severity: "warning",
+    enabled: true,
+  },
+  {
+    id: "battery-critical",
+    field: "battery",
+    condition: "below",
+    value: 10,
+    severity: "critical",
+    enabled: true,
+  },
+  {
+    id: "temperature-range",
+    field: "temperature",
+    condition: "outside",
+    min: -10,
+    max: 60,
+    severity: "warning",
+    enabled: true,
+  },
+  {
+    id: "gps-fix",
+    field: "satellites",
+    condition: "below",
+    value: 4,
+    severity: "warning",
+    enabled: true,
+  },
+  {
+    id: "no-data",
+    field: ANY_FIELD,
+    condition: "stale",
+    value: 5,
+    severity: "critical",
+    enabled: true,
+  },
+  {
+    id: "link-error",
+    field: ANY_FIELD,
+    condition: "linkError",
+    severity: "warning",
+    enabled: true,
+  },
+];
+
+export const newRule = () => ({
+  id: `rule-${Date.now().toString(36)}`,
+  field: "altitude",
+  condition: "above",
+  value: 0,
+  min: 0,
+  max: 0,
+  severity: "warning",
+  enabled: true,
+});
+
+const numberOf = (sample, field) => {
+  const value = Number(sample?.[field]);
+  return !isMissing(sample?.[field]) && Number.isFinite(value) ? value : null;
+};
+
+// -----------------------------------------------------------------------------
+// 🔍 Check one rule. Returns the alert message, or null when all is well.
+// -----------------------------------------------------------------------------
+// `context` is { sample, previous, seenAt, linkError, connectedAt, now,
+// schema } where seenAt maps a field (and ANY_FIELD) to the wall-clock ms it
+// last arrived and connectedAt is null while there is no link.
+export const evaluateRule = (rule, context) => {
+  const { sample, previous, seenAt, linkError, connectedAt, now } = context;
+  const entry = findField(context.schema ?? [], rule.field);
+  const name = entry?.label ?? rule.field;
+  const unit = entry?.unit ? ` ${entry.unit}` : "";
+
+  switch (rule.condition) {
+    case "stale": {
+      if (connectedAt === null) return null;
+      // Nothing received yet on this link: count from when it connected
+      const last = Math.max(seenAt[rule.field] ?? 0, connectedAt);
+      const seconds = (now - last) / 1000;
+      if (!(seconds > rule.value)) return null;
+      return rule.field === ANY_FIELD
+        ? `No telemetry for ${seconds.toFixed(0)} s`
+        : `No ${name} for ${seconds.toFixed(0)} s`;
+    }
+
+    case "linkError": {
+      if (connectedAt === null || !linkError) return null;
+      // Cleared as soon as a good packet arrives after the error
+      if ((seenAt[ANY_FIELD] ?? 0) > linkError.time) return null;
+      return `Link error: ${linkError.message}`;
+    }
+
+    case "rate": {
+      const value = numberOf(sample, rule.field);
+      const before = numberOf(previous, rule.field);
+      if (value === null || before === null) return null;
+      const seconds =
+        (Date.parse(sample.dashboardTime) -
+          Date.parse(previous.dashboardTime)) /
+        1000;
+      if (!(seconds > 0)) return null;
+      const rate = (value - before) / seconds;
+      if (!(Math.abs(rate) > rule.value)) return null;
+      return `${name} changing ${rate.toFixed(1)}${unit}/s (limit ${rule.value}${unit}/s)`;
+    }
+
+    default: {
+      const value = numberOf(sample, rule.field);
+      if (value === null) return null;
+      if (rule.condition === "below" && value < rule.value) {
+        return `${name} ${value}${unit} below ${rule.value}${unit}`;
+      }
+      if (rule.condition === "above" && value > rule.value) {
+        return `${name} ${value}${unit} above ${rule.value}${unit}`;
+      }
+      if (
+        rule.condition === "outside" &&
+        (value < rule.min || value > rule.max)
+      ) {
+        return `${name} ${value}${unit} outside ${rule.min}…${rule.max}${unit}`;
+      }
+      return null;
+    }
+  }
+};
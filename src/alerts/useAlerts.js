@@ -0,0 +1,173 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  ANY_FIELD,
+  DEFAULT_RULES,
+  SEVERITIES,
+  evaluateRule,
+} from "./alertRules";
+import { playAlarm } from "./alarmSound";
+import { isMissing } from "../telemetry/telemetrySchema";
+
+const STORAGE_KEY = "cansat.alerts.rules";
+const CHECK_INTERVAL_MS = 1000; // Staleness is re-checked even without data
+
+const loadRules = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? DEFAULT_RULES;
+  } catch {
+    return DEFAULT_RULES;
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 🚨 React Hook: evaluate alert rules against the live telemetry stream
+// -----------------------------------------------------------------------------
+// An alert stays up while its rule keeps firing. Acknowledging silences it
+// until the condition clears; snoozing hides the rule for a few minutes even
+// if it clears and fires again in between.
+const useAlerts = ({ sensorData, connected, linkError, schema }) => {
+  const [rules, setRulesState] = useState(loadRules);
+  const [active, setActive] = useState({}); // ruleId → alert
+  const [snoozed, setSnoozed] = useState({}); // ruleId → snoozed until (ms)
+  const [muted, setMuted] = useState(false);
+
+  const latestRef = useRef(null); // Latest sample
+  const previousRef = useRef(null); // The one before, for rate rules
+  const seenAtRef = useRef({}); // field → ms it last arrived
+  const connectedAtRef = useRef(null);
+
+  const setRules = (next) => {
+    setRulesState(next);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  };
+
+  const resetRules = () => {
+    setRulesState(DEFAULT_RULES);
+    localStorage.removeItem(STORAGE_KEY);
+  };
+
+  const evaluate = () => {
+    const now = Date.now();
+    const context = {
+      sample: latestRef.current,
+      previous: previousRef.current,
+      seenAt: seenAtRef.current,
+      linkError,
+      connectedAt: connectedAtRef.current,
+      now,
+      schema,
+    };
+
+    setActive((prev) => {
+      const next = {};
+      rules.forEach((rule) => {
+        if (!rule.enabled) return;
+        const message = evaluateRule(rule, context);
+        if (!message) return;
+        next[rule.id] = {
+          acknowledged: false,
+          since: now,
+          ...prev[rule.id],
+          ruleId: rule.id,
+          severity: rule.severity,
+          message,
+        };
+      });
+      return next;
+    });
+  };
+
+  // The effects and the timer below call the latest one, with current rules
+  const evaluateRef = useRef(evaluate);
+  evaluateRef.current = evaluate;
+
+  // 📥 Track arrivals, then check the rules against the new sample
+  useEffect(() => {
+    if (!sensorData.dashboardTime) {
+      latestRef.current = null;
+      previousRef.current = null;
+    } else {
+      const now = Date.now();
+      previousRef.current = latestRef.current;
+      latestRef.current = sensorData;
+      seenAtRef.current[ANY_FIELD] = now;
+      Object.entries(sensorData).forEach(([field, value]) => {
+        if (!isMissing(value)) seenAtRef.current[field] = now;
+      });
+    }
+    evaluateRef.current();
+  }, [sensorData]);
+
+  // ⏱️ Staleness and link errors need checking while nothing arrives
+  useEffect(() => {
+    connectedAtRef.current = connected ? Date.now() : null;
+    if (!connected) seenAtRef.current = {};
+    evaluateRef.current();
+  }, [connected]);
+
+  useEffect(() => {
+    const intervalId = setInterval(
+      () => evaluateRef.current(),
+      CHECK_INTERVAL_MS
+    );
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const now = Date.now();
+  const alerts = Object.values(active)
+    .filter((alert) => !(snoozed[alert.ruleId] > now))
+    .sort(
+      (a, b) =>
+        SEVERITIES[b.severity].rank - SEVERITIES[a.severity].rank ||
+        a.since - b.since
+    );
+
+  // 🔊 Repeat the tone of the worst alert nobody has acknowledged yet
+  const sounding = muted
+    ? null
+    : (alerts.find((alert) => !alert.acknowledged)?.severity ?? null);
+  useEffect(() => {
+    const repeatMs = SEVERITIES[sounding]?.repeatMs;
+    if (!repeatMs) return;
+    playAlarm(sounding);
+    const intervalId = setInterval(() => playAlarm(sounding), repeatMs);
+    return () => clearInterval(intervalId);
+  }, [sounding]);
+
+  const acknowledge = (ruleId) => {
+    setActive((prev) =>
+      prev[ruleId]
+        ? { ...prev, [ruleId]: { ...prev[ruleId], acknowledged: true } }
+        : prev
+    );
+  };
+
+  const acknowledgeAll = () => {
+    setActive((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).map(([id, alert]) => [
+          id,
+          { ...alert, acknowledged: true },
+        ])
+      )
+    );
+  };
+
+  const snooze = (ruleId, minutes) => {
+    setSnoozed((prev) => ({ ...prev, [ruleId]: Date.now() + minutes * 60000 }));
+  };
+
+  return {
+    rules,
+    setRules,
+    resetRules,
+    alerts,
+    acknowledge,
+    acknowledgeAll,
+    snooze,
+    muted,
+    setMuted,
+  };
+};
+
+export default useAlerts;
@@ -0,0 +1,14 @@
+// -----------------------------------------------------------------------------
+// 🌡️ Standard atmosphere helpers
+// -----------------------------------------------------------------------------
+
+export const SEA_LEVEL_PRESSURE = 1013.25; // hPa
+
+// Hypsometric form of the international barometric formula: metres above
+// the level where the pressure is `referencePressure` (both in hPa)
+export const pressureToAltitude = (pressure, referencePressure) =>
+  44330 * (1 - (pressure / referencePressure) ** (1 / 5.255));
+
+// The inverse: pressure `altitude` m above the reference level
+export const altitudeToPressure = (altitude, referencePressure) =>
+  referencePressure * (1 - 2.25577e-5 * altitude) ** 5.25588;
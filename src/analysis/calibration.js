@@ -0,0 +1,121 @@
+import { DEFAULT_REFERENCE_PRESSURE } from "./derived";
+
+// -----------------------------------------------------------------------------
+// 🎚️ Calibration: ground zeroing and per-field offset/scale corrections
+// -----------------------------------------------------------------------------
+// A calibration set is
+//   { referencePressure, corrections: [{ key, offset, scale, wrap }], zeroedAt }
+// Each correction turns a raw reading into `raw * scale + offset` (wrapped to
+// 0–360 for angles such as a compass heading). The corrected value replaces
+// the field and the raw one is kept next to it as `<key>Raw`, so logs carry
+// both. Corrections are worked out from the raw value every time, which
+// makes re-applying a calibration (e.g. to a replayed log) safe.
+
+export const GROUND_WINDOW_MS = 10000; // Pad readings averaged when zeroing
+const MIN_GROUND_SAMPLES = 3;
+const DECIMALS = 4; // Keeps float noise like 22.800000000000001 out of logs
+
+export const DEFAULT_CALIBRATION = {
+  referencePressure: DEFAULT_REFERENCE_PRESSURE, // hPa, zero of baro altitude
+  corrections: [],
+  zeroedAt: null, // When the ground level was last taken
+};
+
+export const newCorrection = (key) => ({
+  key,
+  offset: 0,
+  scale: 1,
+  wrap: false,
+});
+
+const finite = (value) => {
+  const number = Number(value);
+  return value !== "" && value !== undefined && Number.isFinite(number)
+    ? number
+    : null;
+};
+
+export const rawKey = (key) => `${key}Raw`;
+
+export const rawValue = (sample, key) => sample[rawKey(key)] ?? sample[key];
+
+const isIdentity = (correction) =>
+  !correction.offset && correction.scale === 1 && !correction.wrap;
+
+export const applyCalibration = (calibration, sample) => {
+  const corrected = { ...sample };
+  calibration.corrections.forEach((correction) => {
+    if (isIdentity(correction)) return;
+    const raw = rawValue(sample, correction.key);
+    const number = finite(raw);
+    if (number === null) return;
+    let value = number * correction.scale + correction.offset;
+    if (correction.wrap) value = ((value % 360) + 360) % 360;
+    corrected[rawKey(correction.key)] = raw;
+    corrected[correction.key] = Number(value.toFixed(DECIMALS));
+  });
+  return corrected;
+};
+
+// Replaces the correction for `key`, adding it if there is none yet
+export const setCorrection = (corrections, key, changes) =>
+  corrections.some((correction) => correction.key === key)
+    ? corrections.map((correction) =>
+        correction.key === key ? { ...correction, ...changes } : correction
+      )
+    : [...corrections, { ...newCorrection(key), ...changes }];
+
+// ---------------------------------------------------------------------------
+// 🛬 Ground zeroing from the last few seconds of pad readings
+// ---------------------------------------------------------------------------
+// The reference pressure becomes the mean pad pressure (as corrected, since
+// that is what baro altitude is computed from) and the altitude correction's
+// offset is chosen so the mean raw pad altitude reads 0 m. Throws with a
+// readable message when there aren't enough readings.
+export const zeroGround = (calibration, samples) => {
+  const end = Date.parse(samples[samples.length - 1]?.dashboardTime);
+  const window = Number.isFinite(end)
+    ? samples.filter(
+        (sample) => Date.parse(sample.dashboardTime) > end - GROUND_WINDOW_MS
+      )
+    : [];
+  const mean = (read) => {
+    const values = window.map(read).filter((value) => value !== null);
+    if (values.length < MIN_GROUND_SAMPLES) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  };
+  const pressure = mean((sample) => finite(sample.pressure));
+  const altitude = mean((sample) => finite(rawValue(sample, "altitude")));
+  if (pressure === null && altitude === null) {
+    throw new Error(
+      `Zeroing needs at least ${MIN_GROUND_SAMPLES} pressure or altitude readings from the last ${GROUND_WINDOW_MS / 1000} s on the pad.`
+    );
+  }
+
+  const scale =
+    calibration.corrections.find((correction) => correction.key === "altitude")
+      ?.scale ?? 1;
+  return {
+    ...calibration,
+    referencePressure:
+      pressure === null
+        ? calibration.referencePressure
+        : Number(pressure.toFixed(2)),
+    corrections:
+      altitude === null
+        ? calibration.corrections
+        : setCorrection(calibration.corrections, "altitude", {
+            offset: Number((-altitude * scale).toFixed(2)),
+          }),
+    zeroedAt: new Date().toISOString(),
+  };
+};
+
+// Fills in anything a stored calibration set is missing
+export const normalizeCalibration = (stored) => ({
+  ...DEFAULT_CALIBRATION,
+  ...stored,
+  corrections: (stored?.corrections ?? [])
+    .filter((correction) => correction?.key)
+    .map((correction) => ({ ...newCorrection(correction.key), ...correction })),
+});
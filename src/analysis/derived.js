@@ -0,0 +1,116 @@
+import { pressureToAltitude, SEA_LEVEL_PRESSURE } from "./atmosphere";
+import { bearing, haversineDistance, isValidFix } from "../utils/geo";
+import { rateKey } from "./filters";
+
+// -----------------------------------------------------------------------------
+// 🧮 Derived telemetry: quantities computed from the raw packet fields
+// -----------------------------------------------------------------------------
+// Like the phase detector, a pure reducer: `deriveSample(state, sample)`
+// returns the next state and the derived fields to merge into the sample.
+// Their labels and units live in the telemetry schema (group "derived").
+
+export const DEFAULT_REFERENCE_PRESSURE = SEA_LEVEL_PRESSURE;
+
+const SPEED_WINDOW_MS = 3000; // Altitude history used for vertical speed
+const MIN_FIX_INTERVAL_MS = 1000; // GPS jitter swamps shorter baselines
+
+const finite = (value) => {
+  const number = Number(value);
+  return value !== "" && value !== undefined && Number.isFinite(number)
+    ? number
+    : null;
+};
+
+// Missing results stay null, so exports don't mix strings into number columns
+const round = (value, decimals) =>
+  value === null ? null : Number(value.toFixed(decimals));
+
+// Magnus formula, good to ±0.4 °C between -45 and 60 °C
+export const dewPoint = (temperature, humidity) => {
+  if (!(humidity > 0)) return null;
+  const gamma =
+    Math.log(humidity / 100) + (17.62 * temperature) / (243.12 + temperature);
+  return (243.12 * gamma) / (17.62 - gamma);
+};
+
+// Least-squares slope of altitude over time, in m/s
+const slope = (points) => {
+  if (points.length < 2) return null;
+  const t0 = points[0].t;
+  const n = points.length;
+  const meanT = points.reduce((sum, p) => sum + (p.t - t0), 0) / n;
+  const meanA = points.reduce((sum, p) => sum + p.altitude, 0) / n;
+  let num = 0;
+  let den = 0;
+  points.forEach((p) => {
+    num += (p.t - t0 - meanT) * (p.altitude - meanA);
+    den += (p.t - t0 - meanT) ** 2;
+  });
+  return den > 0 ? (num / den) * 1000 : null;
+};
+
+export const initialDerivedState = () => ({
+  altitudes: [], // { t, altitude } within SPEED_WINDOW_MS
+  lastFix: null, // { t, lat, lon } the ground track was last measured from
+  groundSpeed: null,
+  heading: null,
+});
+
+export const deriveSample = (
+  state,
+  sample,
+  referencePressure = DEFAULT_REFERENCE_PRESSURE
+) => {
+  const t = Date.parse(sample.dashboardTime);
+  const altitude = finite(sample.altitude);
+  // A Kalman filter on altitude estimates the climb rate along with it, with
+  // less lag and noise than the slope over the last few seconds
+  const altitudeRate = finite(sample[rateKey("altitude")]);
+  const pressure = finite(sample.pressure);
+  const temperature = finite(sample.temperature);
+  const humidity = finite(sample.humidity);
+  const next = { ...state };
+
+  if (altitude !== null && Number.isFinite(t)) {
+    next.altitudes = [...state.altitudes, { t, altitude }].filter(
+      (p) => p.t > t - SPEED_WINDOW_MS && p.t <= t
+    );
+  }
+
+  if (isValidFix(sample) && Number.isFinite(t)) {
+    const fix = {
+      t,
+      lat: Number(sample.latitude),
+      lon: Number(sample.longitude),
+    };
+    if (!state.lastFix) next.lastFix = fix;
+    else if (t - state.lastFix.t >= MIN_FIX_INTERVAL_MS) {
+      const meters = haversineDistance(state.lastFix, fix);
+      next.groundSpeed = meters / ((t - state.lastFix.t) / 1000);
+      // Heading is meaningless while the can is (nearly) standing still
+      if (meters > 1) next.heading = bearing(state.lastFix, fix);
+      next.lastFix = fix;
+    }
+  }
+
+  return {
+    state: next,
+    fields: {
+      verticalSpeed: round(altitudeRate ?? slope(next.altitudes), 2),
+      baroAltitude: round(
+        pressure === null
+          ? null
+          : pressureToAltitude(pressure, referencePressure),
+        1
+      ),
+      dewPoint: round(
+        temperature === null || humidity === null
+          ? null
+          : dewPoint(temperature, humidity),
+        1
+      ),
+      groundSpeed: round(next.groundSpeed, 1),
+      heading: round(next.heading, 0),
+    },
+  };
+};
@@ -0,0 +1,173 @@
+// -----------------------------------------------------------------------------
+// 🧽 Filters: per-field smoothing and outlier rejection
+// -----------------------------------------------------------------------------
+// Runs after calibration and before the derived fields, so spikes never reach
+// vertical speed, the phase detector or the flight maxima. Like the other
+// analysis stages a pure reducer: `filterSample(state, sample, filters)`
+// returns the next state and the filtered sample. `filters` is a list of
+//   { key, type, window, threshold, processNoise, measurementNoise }
+// The filtered value replaces the field and the unfiltered one is kept next
+// to it as `<key>Unfiltered`, for charts and exports. The Kalman filter also
+// publishes its rate estimate as `<key>Rate` (per second); on altitude that is
+// the vertical speed the derived fields use.
+
+export const FILTER_TYPES = {
+  average: { label: "Moving average", params: ["window"] },
+  median: { label: "Median", params: ["window"] },
+  spike: { label: "Spike rejection", params: ["window", "threshold"] },
+  // Constant-velocity model: tracks the value and its rate of change, e.g.
+  // altitude and vertical speed, so it follows a steady climb without lag and
+  // ignores readings that don't fit it. The rate comes out as `<key>Rate`.
+  kalman: {
+    label: "Kalman",
+    params: ["processNoise", "measurementNoise"],
+  },
+};
+
+export const FILTER_PARAMS = {
+  window: { label: "Samples", min: 2, step: 1 },
+  threshold: { label: "Max jump", min: 0, step: "any" },
+  processNoise: { label: "Accel noise", min: 0, step: "any" },
+  measurementNoise: { label: "Sensor noise", min: 0, step: "any" },
+};
+
+const DECIMALS = 6; // Enough for GPS coordinates
+const KALMAN_GATE = 5; // Readings this many σ off the prediction are spikes
+const KALMAN_MAX_SKIPS = 3; // ...unless they keep coming, then it's real
+
+export const newFilter = (key, type = "average") => ({
+  key,
+  type,
+  window: 5,
+  threshold: 10, // In the field's unit, away from the window median
+  processNoise: 1, // Unit/s² of unmodelled acceleration
+  measurementNoise: 2, // Unit, standard deviation of one reading
+});
+
+const UNFILTERED = "Unfiltered";
+const RATE = "Rate";
+
+export const unfilteredKey = (key) => `${key}${UNFILTERED}`;
+export const rateKey = (key) => `${key}${RATE}`;
+
+const finite = (value) => {
+  const number = Number(value);
+  return value !== "" && value !== undefined && Number.isFinite(number)
+    ? number
+    : null;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export const initialFilterState = () => ({}); // { [key]: { values, kalman } }
+
+// ---------------------------------------------------------------------------
+// 📐 Kalman filter on [value, rate] with a white-noise acceleration model
+// ---------------------------------------------------------------------------
+const kalmanStep = (prev, z, t, { processNoise, measurementNoise }) => {
+  const r = measurementNoise ** 2;
+  const dt = prev ? (t - prev.t) / 1000 : 0;
+  if (!prev || !(dt > 0)) {
+    return { x: z, v: prev?.v ?? 0, p: [r, 0, 0, 100], t, skips: 0 };
+  }
+
+  // Predict
+  const [p00, p01, p10, p11] = prev.p;
+  const q = processNoise ** 2;
+  const x = prev.x + prev.v * dt;
+  const v = prev.v;
+  const a00 = p00 + dt * (p10 + p01) + dt * dt * p11 + (q * dt ** 4) / 4;
+  const a01 = p01 + dt * p11 + (q * dt ** 3) / 2;
+  const a10 = p10 + dt * p11 + (q * dt ** 3) / 2;
+  const a11 = p11 + q * dt * dt;
+
+  // Update with the reading, unless it is a lone spike
+  const s = a00 + r;
+  const residual = z - x;
+  if (residual ** 2 > KALMAN_GATE ** 2 * s && prev.skips < KALMAN_MAX_SKIPS) {
+    return { x, v, p: [a00, a01, a10, a11], t, skips: prev.skips + 1 };
+  }
+  const k0 = a00 / s;
+  const k1 = a10 / s;
+  return {
+    x: x + k0 * residual,
+    v: v + k1 * residual,
+    p: [(1 - k0) * a00, (1 - k0) * a01, a10 - k1 * a00, a11 - k1 * a01],
+    t,
+    skips: 0,
+  };
+};
+
+const filterValue = (history, number, t, filter) => {
+  const values = [...history.values, number].slice(-filter.window);
+  switch (filter.type) {
+    case "average":
+      return {
+        next: { ...history, values },
+        value: values.reduce((sum, value) => sum + value, 0) / values.length,
+      };
+    case "median":
+      return { next: { ...history, values }, value: median(values) };
+    case "spike": {
+      const middle = median(values);
+      const spike = Math.abs(number - middle) > filter.threshold;
+      return { next: { ...history, values }, value: spike ? middle : number };
+    }
+    case "kalman": {
+      const kalman = kalmanStep(history.kalman, number, t, filter);
+      return { next: { ...history, kalman }, value: kalman.x, rate: kalman.v };
+    }
+    default:
+      return { next: history, value: number };
+  }
+};
+
+export const filterSample = (state, sample, filters) => {
+  if (filters.length === 0) return { state, sample };
+  const t = Date.parse(sample.dashboardTime);
+  const next = { ...state };
+  const filtered = { ...sample };
+
+  filters.forEach((filter) => {
+    const number = finite(sample[filter.key]);
+    if (number === null || !FILTER_TYPES[filter.type]) return;
+    const history = state[filter.key] ?? { values: [], kalman: null };
+    const {
+      next: updated,
+      value,
+      rate,
+    } = filterValue(history, number, t, filter);
+    next[filter.key] = updated;
+    filtered[unfilteredKey(filter.key)] = sample[filter.key];
+    filtered[filter.key] = Number(value.toFixed(DECIMALS));
+    if (rate !== undefined) {
+      filtered[rateKey(filter.key)] = Number(rate.toFixed(DECIMALS));
+    }
+  });
+  return { state: next, sample: filtered };
+};
+
+// Puts the unfiltered readings of an already processed sample (e.g. a
+// replayed log row) back and drops the rate estimates, so it can go through
+// the current filters instead
+export const withoutFilters = (sample) => {
+  const restored = { ...sample };
+  Object.keys(sample).forEach((key) => {
+    if (!key.endsWith(UNFILTERED)) return;
+    const base = key.slice(0, -UNFILTERED.length);
+    restored[base] = sample[key];
+    delete restored[key];
+    delete restored[rateKey(base)];
+  });
+  return restored;
+};
+
+// Fills in anything a stored filter list is missing
+export const normalizeFilters = (stored) =>
+  (Array.isArray(stored) ? stored : [])
+    .filter((filter) => filter?.key && FILTER_TYPES[filter.type])
+    .map((filter) => ({ ...newFilter(filter.key), ...filter }));
@@ -0,0 +1,160 @@
+import { pressureToAltitude } from "./atmosphere";
+
+// -----------------------------------------------------------------------------
+// 🚦 Flight phase detection: pad → ascent → apogee → descent → landed
+// -----------------------------------------------------------------------------
+// A pure reducer over the sample stream, so the same code runs live, during
+// replay and when a stored session is resumed. Every transition has to hold
+// for a number of consecutive samples, which keeps a noisy barometer from
+// faking a launch or an apogee.
+
+export const PHASES = {
+  pad: { label: "Pad idle", className: "text-gray-300" },
+  ascent: { label: "Ascent", className: "text-green-400" },
+  apogee: { label: "Apogee", className: "text-yellow-300" },
+  descent: { label: "Descent", className: "text-orange-400" },
+  landed: { label: "Landed", className: "text-cyan-300" },
+};
+
+export const DEFAULT_PHASE_CONFIG = {
+  launchHeight: 10, // m above the pad that counts as lift-off
+  launchSamples: 3, // consecutive samples above launchHeight
+  apogeeDrop: 5, // m below the highest point that confirms apogee
+  apogeeSamples: 3,
+  landedHeight: 15, // m above the pad still counted as "on the ground"
+  landedRate: 2, // m/s, vertical speed below which the can is at rest
+  landedSamples: 5,
+};
+
+const RATE_WINDOW = 5;
+
+export const initialPhaseState = () => ({
+  phase: "pad",
+  groundAltitude: null, // Pad altitude, averaged while idle
+  groundPressure: null, // Reference when the packet has no altitude
+  maxHeight: -Infinity,
+  maxHeightTime: null,
+  launchTime: null,
+  streak: 0, // Consecutive samples meeting the next transition
+  recent: [], // { time, height } of the last few samples, for vertical speed
+  events: [],
+});
+
+// Altitude from the packet, or from pressure if the kit only sends that
+const altitudeOf = (state, sample) => {
+  const altitude = Number(sample.altitude);
+  if (Number.isFinite(altitude)) return { altitude, groundPressure: null };
+
+  const pressure = Number(sample.pressure);
+  if (!Number.isFinite(pressure)) return null;
+  const groundPressure = state.groundPressure ?? pressure;
+  return {
+    altitude: pressureToAltitude(pressure, groundPressure),
+    groundPressure,
+  };
+};
+
+const event = (type, time, height, message) => ({
+  type,
+  time,
+  altitude: Number(height.toFixed(1)),
+  message,
+});
+
+export const updateFlightPhase = (
+  state,
+  sample,
+  config = DEFAULT_PHASE_CONFIG
+) => {
+  const reading = altitudeOf(state, sample);
+  const time = Date.parse(sample.dashboardTime);
+  if (!reading || !Number.isFinite(time)) return state;
+
+  const groundPressure = reading.groundPressure ?? state.groundPressure;
+  const groundAltitude = state.groundAltitude ?? reading.altitude;
+  const height = reading.altitude - groundAltitude;
+  // Vertical speed over a few samples; sample-to-sample is mostly noise
+  const recent = [...state.recent, { time, height }].slice(-RATE_WINDOW);
+  const oldest = recent[0];
+  const rate =
+    recent.length > 1
+      ? (height - oldest.height) / Math.max((time - oldest.time) / 1000, 0.001)
+      : 0;
+
+  const next = { ...state, groundPressure, groundAltitude, recent };
+  const held = (condition, needed) => {
+    next.streak = condition ? state.streak + 1 : 0;
+    return next.streak >= needed;
+  };
+
+  switch (state.phase) {
+    case "pad":
+      if (held(height > config.launchHeight, config.launchSamples)) {
+        next.phase = "ascent";
+        next.streak = 0;
+        next.launchTime = time;
+        next.events = [
+          ...state.events,
+          event("launch", sample.dashboardTime, height, "Launch detected"),
+        ];
+      } else if (next.streak === 0) {
+        // Track slow drift of the pad reading (weather, sensor warm-up)
+        next.groundAltitude = groundAltitude * 0.9 + reading.altitude * 0.1;
+      }
+      break;
+
+    case "ascent":
+      if (height > state.maxHeight) {
+        next.maxHeight = height;
+        next.maxHeightTime = sample.dashboardTime;
+      }
+      if (
+        held(height < next.maxHeight - config.apogeeDrop, config.apogeeSamples)
+      ) {
+        next.phase = "apogee";
+        next.streak = 0;
+        next.events = [
+          ...state.events,
+          event(
+            "apogee",
+            next.maxHeightTime,
+            next.maxHeight,
+            `Apogee at ${next.maxHeight.toFixed(1)} m`
+          ),
+        ];
+      }
+      break;
+
+    case "apogee":
+      next.phase = "descent";
+      next.streak = 0;
+      break;
+
+    case "descent":
+      if (
+        held(
+          height < config.landedHeight && Math.abs(rate) < config.landedRate,
+          config.landedSamples
+        )
+      ) {
+        const flightSeconds = (time - state.launchTime) / 1000;
+        next.phase = "landed";
+        next.streak = 0;
+        next.events = [
+          ...state.events,
+          event(
+            "landed",
+            sample.dashboardTime,
+            height,
+            `Landed after ${flightSeconds.toFixed(0)} s`
+          ),
+        ];
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return next;
+};
@@ -0,0 +1,100 @@
+import { fromLocalMeters, isValidFix, toLocalMeters } from "../utils/geo";
+
+// -----------------------------------------------------------------------------
+// 🎯 Landing prediction: where the can will touch down, and how sure we are
+// -----------------------------------------------------------------------------
+// During descent the recent GPS fixes give a horizontal drift velocity and the
+// derived vertical speed gives the time left to fall. The predicted point is
+// the fitted current position carried along that drift until touchdown. The
+// radius grows with the time left: the drift estimate's own scatter, plus a
+// share of the remaining drift for wind that changes with height, on top of
+// GPS error.
+
+const DRIFT_WINDOW_MS = 20000; // Fixes used for the drift velocity
+const MIN_FIXES = 5;
+const MIN_DESCENT_RATE = 0.5; // m/s, slower than this the can isn't falling
+const GPS_ERROR_M = 5;
+const WIND_SHEAR_SHARE = 0.25; // Of the remaining drift distance
+
+export const initialLandingState = () => ({
+  fixes: [], // { t, lat, lon } within DRIFT_WINDOW_MS
+  prediction: null,
+});
+
+// Least-squares velocity and its standard error for one axis, in m/s
+const fitAxis = (points, key) => {
+  const n = points.length;
+  const meanT = points.reduce((sum, p) => sum + p.t, 0) / n;
+  const meanV = points.reduce((sum, p) => sum + p[key], 0) / n;
+  let num = 0;
+  let den = 0;
+  points.forEach((p) => {
+    num += (p.t - meanT) * (p[key] - meanV);
+    den += (p.t - meanT) ** 2;
+  });
+  if (!(den > 0)) return null;
+  const slope = num / den;
+  const residual = points.reduce((sum, p) => {
+    const fitted = meanV + slope * (p.t - meanT);
+    return sum + (p[key] - fitted) ** 2;
+  }, 0);
+  const stdError = Math.sqrt(residual / Math.max(n - 2, 1) / den);
+  // Fitted position `at` seconds, smoother than the last raw fix
+  return {
+    slope,
+    stdError,
+    at: (seconds) => meanV + slope * (seconds - meanT),
+  };
+};
+
+// `flight` is the phase detector state, for the phase and the pad altitude
+export const updateLandingPrediction = (state, sample, flight) => {
+  const t = Date.parse(sample.dashboardTime) / 1000;
+  if (!Number.isFinite(t)) return state;
+
+  const fixes = isValidFix(sample)
+    ? [
+        ...state.fixes,
+        { t, lat: Number(sample.latitude), lon: Number(sample.longitude) },
+      ].filter((fix) => fix.t > t - DRIFT_WINDOW_MS / 1000)
+    : state.fixes;
+  const next = { fixes, prediction: null };
+
+  if (flight.phase !== "descent" && flight.phase !== "apogee") return next;
+  const descentRate = -Number(sample.verticalSpeed);
+  const height = Number(sample.altitude) - (flight.groundAltitude ?? 0);
+  if (!(descentRate > MIN_DESCENT_RATE) || !(height > 0)) return next;
+  if (fixes.length < MIN_FIXES) return next;
+
+  const origin = fixes[fixes.length - 1];
+  const points = fixes.map((fix) => ({
+    t: fix.t - origin.t,
+    ...toLocalMeters(origin, fix),
+  }));
+  const east = fitAxis(points, "east");
+  const north = fitAxis(points, "north");
+  if (!east || !north) return next;
+
+  const secondsLeft = height / descentRate;
+  const now = t - origin.t;
+  const drift = {
+    east: east.slope * secondsLeft,
+    north: north.slope * secondsLeft,
+  };
+  const landing = {
+    east: east.at(now) + drift.east,
+    north: north.at(now) + drift.north,
+  };
+  const driftScatter = Math.hypot(east.stdError, north.stdError) * secondsLeft;
+  const radius =
+    GPS_ERROR_M +
+    2 * driftScatter +
+    WIND_SHEAR_SHARE * Math.hypot(drift.east, drift.north);
+
+  next.prediction = {
+    ...fromLocalMeters(origin, landing),
+    radius,
+    secondsLeft,
+  };
+  return next;
+};
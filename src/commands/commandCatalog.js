@@ -0,0 +1,82 @@
+// -----------------------------------------------------------------------------
+// 📜 Command catalog: every uplink command the GCS knows how to build
+// -----------------------------------------------------------------------------
+// Messages follow the competition layout `CMD,<team>,<name>,<args...>`. The
+// CanSat confirms a command by echoing `<name><args>` (e.g. "CXON") in the
+// `cmdEcho` telemetry field, which is how acknowledgements are matched. The
+// echo has to change after the send to count, so repeating a command is only
+// confirmed if the kit clears its echo in between.
+
+export const DEFAULT_TEAM_ID = "111";
+
+export const COMMAND_STATUS = {
+  pending: { label: "Pending", className: "text-yellow-300" },
+  acknowledged: { label: "Acknowledged", className: "text-green-400" },
+  sent: { label: "Sent (no ack)", className: "text-cyan-300" },
+  failed: { label: "Failed", className: "text-red-400" },
+  timeout: { label: "Timed out", className: "text-orange-400" },
+};
+
+const currentUtcTime = () => new Date().toISOString().slice(11, 19);
+
+export const COMMAND_CATALOG = [
+  { id: "calibrate", label: "Calibrate", name: "CAL", args: [] },
+  {
+    id: "setTime",
+    label: "Set Time",
+    name: "ST",
+    args: [
+      { key: "time", label: "UTC hh:mm:ss or GPS", initial: currentUtcTime },
+    ],
+  },
+  {
+    id: "simMode",
+    label: "Sim Mode",
+    name: "SIM",
+    args: [
+      {
+        key: "mode",
+        label: "Mode",
+        options: ["ENABLE", "ACTIVATE", "DISABLE"],
+      },
+    ],
+  },
+  { id: "resetCount", label: "Reset Packet Count", name: "RPC", args: [] },
+  {
+    id: "buzzer",
+    label: "Buzzer",
+    name: "BCN",
+    args: [{ key: "state", label: "State", options: ["ON", "OFF"] }],
+  },
+  {
+    id: "telemetry",
+    label: "Telemetry On/Off",
+    name: "CX",
+    args: [{ key: "state", label: "State", options: ["ON", "OFF"] }],
+  },
+  // Older kit firmware only understands a bare "ON" and never echoes it
+  { id: "legacyOn", label: "Send ON (legacy)", raw: "ON", expectsAck: false },
+];
+
+export const findCommand = (id) =>
+  COMMAND_CATALOG.find((command) => command.id === id);
+
+// Default argument values for the form, e.g. the current UTC time for ST
+export const initialArgs = (command) =>
+  (command.args ?? []).map((arg) =>
+    typeof arg.initial === "function"
+      ? arg.initial()
+      : (arg.initial ?? arg.options?.[0] ?? "")
+  );
+
+export const buildCommand = (command, teamId, args = []) =>
+  command.raw ?? ["CMD", teamId, command.name, ...args].join(",");
+
+const normalizeEcho = (echo) =>
+  String(echo).replace(/[,\s]/g, "").toUpperCase();
+
+export const expectedEcho = (command, args = []) =>
+  normalizeEcho(`${command.name}${args.join("")}`);
+
+export const matchesEcho = (echo, expected) =>
+  echo !== undefined && echo !== "" && normalizeEcho(echo) === expected;
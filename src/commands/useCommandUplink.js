@@ -0,0 +1,145 @@
+import { useState, useEffect, useRef } from "react";
+import { buildCommand, expectedEcho, matchesEcho } from "./commandCatalog";
+
+const ACK_TIMEOUT_MS = 3000; // Wait this long for the echo before resending
+const MAX_RETRIES = 2; // Resends after the first attempt
+
+// -----------------------------------------------------------------------------
+// 📡 React Hook: send catalog commands, track acks, retry, keep history
+// -----------------------------------------------------------------------------
+// `sendCommand` is the active telemetry source's uplink; `sensorData` is the
+// latest sample, whose `cmdEcho` field acknowledges pending commands.
+const useCommandUplink = ({ sendCommand, sensorData }) => {
+  const [history, setHistory] = useState([]); // Newest first
+  const pendingRef = useRef(new Map()); // id → { message, echo, attempts, ... }
+  const nextIdRef = useRef(1);
+  const lastEchoRef = useRef(""); // cmdEcho of the latest sample
+
+  const updateEntry = (id, changes) => {
+    setHistory((prev) =>
+      prev.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry))
+    );
+  };
+
+  const settle = (id, status, changes = {}) => {
+    const pending = pendingRef.current.get(id);
+    if (!pending) return;
+    clearTimeout(pending.timerId);
+    pendingRef.current.delete(id);
+    updateEntry(id, {
+      status,
+      settledAt: new Date().toISOString(),
+      ...changes,
+    });
+  };
+  const settleRef = useRef(settle); // For the echo effect below
+  settleRef.current = settle;
+
+  // ---------------------------------------------------------------------------
+  // 🔁 Send one attempt, then wait for the echo or retry
+  // ---------------------------------------------------------------------------
+  const transmit = async (id) => {
+    const pending = pendingRef.current.get(id);
+    if (!pending) return;
+
+    pending.attempts += 1;
+    pending.lastSentAt = new Date().toISOString();
+    pending.echoAtSend = lastEchoRef.current;
+    updateEntry(id, { attempts: pending.attempts });
+
+    const retryOr = (finalStatus, changes, delayMs) => {
+      if (pending.attempts <= MAX_RETRIES) {
+        pending.timerId = setTimeout(() => transmit(id), delayMs);
+      } else {
+        settle(id, finalStatus, changes);
+      }
+    };
+
+    try {
+      await sendCommand(pending.message);
+    } catch (err) {
+      retryOr("failed", { error: err.message }, ACK_TIMEOUT_MS);
+      return;
+    }
+
+    // Acknowledged (or cleared) while the request was in flight
+    if (!pendingRef.current.has(id)) return;
+
+    if (!pending.expectsAck) {
+      settle(id, "sent");
+      return;
+    }
+
+    pending.timerId = setTimeout(
+      () => retryOr("timeout", {}, 0),
+      ACK_TIMEOUT_MS
+    );
+  };
+
+  const issue = (command, { teamId, args = [] }) => {
+    const id = nextIdRef.current++;
+    const message = buildCommand(command, teamId, args);
+    const expectsAck = command.expectsAck ?? true;
+
+    pendingRef.current.set(id, {
+      message,
+      expectsAck,
+      echo: expectsAck ? expectedEcho(command, args) : null,
+      attempts: 0,
+      lastSentAt: null,
+      echoAtSend: null, // The kit's echo when last sent; null once it changed
+      timerId: null,
+    });
+    setHistory((prev) => [
+      {
+        id,
+        command: command.id,
+        label: command.label,
+        message,
+        status: "pending",
+        attempts: 0,
+        issuedAt: new Date().toISOString(),
+        settledAt: null,
+        error: null,
+      },
+      ...prev,
+    ]);
+
+    transmit(id);
+    return id;
+  };
+
+  // ---------------------------------------------------------------------------
+  // ✅ Match echoes in fresh telemetry against pending commands
+  // ---------------------------------------------------------------------------
+  // The kit repeats its last echo in every packet, so an echo only counts once
+  // it has changed since the send: sending CAL twice in a row must not be
+  // acknowledged by the first CAL's echo.
+  useEffect(() => {
+    const { cmdEcho = "", dashboardTime } = sensorData;
+    if (!dashboardTime) return; // Cleared on disconnect, not a sample
+    lastEchoRef.current = cmdEcho;
+    pendingRef.current.forEach((pending, id) => {
+      // Ignore samples older than the last send, they echo a previous command
+      if (!pending.lastSentAt || dashboardTime < pending.lastSentAt) return;
+      if (cmdEcho !== pending.echoAtSend) pending.echoAtSend = null;
+      if (pending.echoAtSend === null && matchesEcho(cmdEcho, pending.echo)) {
+        settleRef.current(id, "acknowledged");
+      }
+    });
+  }, [sensorData]);
+
+  // 🧹 Drop pending timers on unmount
+  useEffect(() => {
+    const pending = pendingRef.current;
+    return () => pending.forEach(({ timerId }) => clearTimeout(timerId));
+  }, []);
+
+  const clearHistory = () => {
+    setHistory((prev) => prev.filter((entry) => entry.status === "pending"));
+  };
+
+  return { history, issue, clearHistory };
+};
+
+export default useCommandUplink;
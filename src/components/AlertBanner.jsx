@@ -0,0 +1,68 @@
+import React from "react";
+import { SEVERITIES } from "../alerts/alertRules";
+
+const SNOOZE_MINUTES = [5, 15];
+
+// -----------------------------------------------------------------------------
+// 🚨 Alert Banner: active alarms, pinned to the top while scrolling
+// -----------------------------------------------------------------------------
+const AlertBanner = ({
+  alerts,
+  onAcknowledge,
+  onAcknowledgeAll,
+  onSnooze,
+  muted,
+  onToggleMute,
+}) => {
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="sticky top-0 z-10 w-full max-w-md mb-2 text-sm space-y-1">
+      {alerts.map((alert) => (
+        <div
+          key={alert.ruleId}
+          className={`flex items-center gap-1 rounded p-1 ${
+            alert.acknowledged
+              ? "bg-gray-700"
+              : SEVERITIES[alert.severity].className
+          }`}
+        >
+          <span className="font-semibold">
+            {SEVERITIES[alert.severity].label}:
+          </span>
+          <span className="flex-1 truncate" title={alert.message}>
+            {alert.message}
+          </span>
+          {!alert.acknowledged && (
+            <button
+              onClick={() => onAcknowledge(alert.ruleId)}
+              className="px-1 rounded bg-gray-900/50"
+            >
+              Ack
+            </button>
+          )}
+          {SNOOZE_MINUTES.map((minutes) => (
+            <button
+              key={minutes}
+              onClick={() => onSnooze(alert.ruleId, minutes)}
+              title={`Snooze for ${minutes} minutes`}
+              className="px-1 rounded bg-gray-900/50"
+            >
+              💤{minutes}m
+            </button>
+          ))}
+        </div>
+      ))}
+      <div className="flex justify-end gap-1 text-xs">
+        <button onClick={onAcknowledgeAll} className="px-1 rounded bg-gray-700">
+          Ack all
+        </button>
+        <button onClick={onToggleMute} className="px-1 rounded bg-gray-700">
+          {muted ? "🔇 Sound off" : "🔊 Sound on"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AlertBanner;
@@ -0,0 +1,113 @@
+import React from "react";
+import {
+  ANY_FIELD,
+  CONDITIONS,
+  SEVERITIES,
+  newRule,
+} from "../alerts/alertRules";
+
+const inputClass = "rounded text-white border-2 bg-gray-700 px-1";
+
+// -----------------------------------------------------------------------------
+// ⚙️ Alert Rules Editor: one row per rule, saved as soon as it changes
+// -----------------------------------------------------------------------------
+// `fields` are the schema entries offered as suggestions for a rule's field.
+const AlertRulesEditor = ({ rules, fields, onChange, onReset }) => {
+  const update = (id, changes) => {
+    onChange(
+      rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule))
+    );
+  };
+
+  const remove = (id) => onChange(rules.filter((rule) => rule.id !== id));
+
+  return (
+    <details className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <summary className="cursor-pointer text-cyan-300 font-semibold">
+        Alert Rules ({rules.filter((rule) => rule.enabled).length} active)
+      </summary>
+
+      <datalist id="alert-fields">
+        <option value={ANY_FIELD}>Any packet</option>
+        {fields.map((entry) => (
+          <option key={entry.key} value={entry.key}>
+            {entry.label}
+          </option>
+        ))}
+      </datalist>
+
+      <div className="space-y-1 mt-1 text-xs">
+        {rules.map((rule) => (
+          <div key={rule.id} className="flex flex-wrap items-center gap-1">
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              onChange={(e) => update(rule.id, { enabled: e.target.checked })}
+            />
+            <input
+              list="alert-fields"
+              value={rule.field}
+              onChange={(e) => update(rule.id, { field: e.target.value })}
+              className={`w-24 ${inputClass}`}
+            />
+            <select
+              value={rule.condition}
+              onChange={(e) => update(rule.id, { condition: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(CONDITIONS).map(([key, { label }]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {CONDITIONS[rule.condition].uses.map((key) => (
+              <input
+                key={key}
+                type="number"
+                placeholder={key}
+                value={rule[key] ?? ""}
+                onChange={(e) =>
+                  update(rule.id, { [key]: Number(e.target.value) })
+                }
+                className={`w-14 ${inputClass}`}
+              />
+            ))}
+            <select
+              value={rule.severity}
+              onChange={(e) => update(rule.id, { severity: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(SEVERITIES).map(([key, { label }]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => remove(rule.id)}
+              title="Delete rule"
+              className="px-1 rounded bg-red-500"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-1 mt-1">
+        <button
+          onClick={() => onChange([...rules, newRule()])}
+          className="px-2 rounded bg-green-600"
+        >
+          Add rule
+        </button>
+        <button onClick={onReset} className="px-2 rounded bg-blue-500">
+          Restore defaults
+        </button>
+      </div>
+    </details>
+  );
+};
+
+export default AlertRulesEditor;
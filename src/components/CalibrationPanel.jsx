@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import {
+  DEFAULT_CALIBRATION,
+  GROUND_WINDOW_MS,
+  rawKey,
+  setCorrection,
+} from "../analysis/calibration";
+import { formatValue } from "../telemetry/telemetrySchema";
+
+const inputClass = "w-16 rounded text-white border-2 bg-gray-700 px-1";
+
+// -----------------------------------------------------------------------------
+// 🎚️ Calibration Panel: ground zeroing and per-field corrections
+// -----------------------------------------------------------------------------
+// `fields` is the schema; readings (not derived or system fields) can be
+// corrected. Numbers are applied on blur/Enter, like the baro reference, so
+// half-typed values don't reach the log.
+const CalibrationPanel = ({
+  calibration,
+  fields,
+  sensorData,
+  onChange,
+  onZero,
+}) => {
+  const [error, setError] = useState(null); // Last zeroing failure
+  const { corrections } = calibration;
+  const corrected = new Set(corrections.map((correction) => correction.key));
+  const entryFor = (key) =>
+    fields.find((entry) => entry.key === key) ?? {
+      key,
+      label: key,
+      unit: "",
+      precision: null,
+    };
+
+  const update = (key, changes) =>
+    onChange({
+      ...calibration,
+      corrections: setCorrection(corrections, key, changes),
+    });
+
+  const remove = (key) =>
+    onChange({
+      ...calibration,
+      corrections: corrections.filter((correction) => correction.key !== key),
+    });
+
+  const commitNumber = (key, name) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== "" && Number.isFinite(value)) {
+      update(key, { [name]: value });
+    } else e.target.value = corrections.find((c) => c.key === key)[name];
+  };
+
+  const handleZero = () => {
+    setError(null);
+    try {
+      onZero();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <details className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <summary className="cursor-pointer text-cyan-200 font-semibold">
+        Calibration
+        {calibration.zeroedAt &&
+          ` (zeroed ${new Date(calibration.zeroedAt).toLocaleTimeString()})`}
+      </summary>
+      <div className="flex flex-wrap gap-1 mt-1 items-center text-xs">
+        <span className="text-gray-300">
+          Baro reference: {calibration.referencePressure} hPa
+        </span>
+        <button
+          onClick={handleZero}
+          title={`Average the last ${GROUND_WINDOW_MS / 1000} s of readings: pad pressure becomes the reference and altitude reads 0 m`}
+          className="px-2 py-1 rounded bg-blue-500"
+        >
+          Zero on pad
+        </button>
+        <button
+          onClick={() => {
+            setError(null);
+            onChange(DEFAULT_CALIBRATION);
+          }}
+          className="px-2 py-1 rounded bg-gray-600"
+        >
+          Clear
+        </button>
+      </div>
+      {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+
+      {corrections.length > 0 && (
+        <table className="w-full mt-1 text-xs text-left">
+          <thead className="text-gray-400">
+            <tr>
+              <th>Field</th>
+              <th>Offset</th>
+              <th>Scale</th>
+              <th title="Wrap to 0–360°, e.g. compass declination">360°</th>
+              <th>Raw → now</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {corrections.map(({ key, offset, scale, wrap }) => {
+              const entry = entryFor(key);
+              const raw = sensorData[rawKey(key)] ?? sensorData[key];
+              return (
+                <tr key={key}>
+                  <td>{entry.label}</td>
+                  {Object.entries({ offset, scale }).map(([name, value]) => (
+                    <td key={name}>
+                      <input
+                        type="number"
+                        step="any"
+                        key={value}
+                        defaultValue={value}
+                        onBlur={commitNumber(key, name)}
+                        onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                        className={inputClass}
+                      />
+                    </td>
+                  ))}
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={wrap}
+                      onChange={(e) => update(key, { wrap: e.target.checked })}
+                    />
+                  </td>
+                  <td className="text-gray-300">
+                    {raw === undefined
+                      ? "..."
+                      : `${raw} → ${formatValue(entry, sensorData[key])}`}
+                  </td>
+                  <td>
+                    <button
+                      onClick={() => remove(key)}
+                      title="Remove correction"
+                      className="px-1 rounded bg-red-600"
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <select
+        value=""
+        onChange={(e) => update(e.target.value, {})}
+        className="mt-1 rounded text-white border-2 bg-gray-700 text-xs"
+      >
+        <option value="" disabled>
+          + Correct a field
+        </option>
+        {fields
+          .filter(
+            (entry) =>
+              !["derived", "system"].includes(entry.group) &&
+              !corrected.has(entry.key)
+          )
+          .map((entry) => (
+            <option key={entry.key} value={entry.key}>
+              {entry.label}
+            </option>
+          ))}
+      </select>
+    </details>
+  );
+};
+
+export default CalibrationPanel;
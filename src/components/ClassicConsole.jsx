@@ -0,0 +1,255 @@
+import React from "react";
+import { DEFAULT_TEAM_ID } from "../commands/commandCatalog";
+import { TRANSPORTS } from "../telemetry/transports";
+import { FIELD_GROUPS } from "../telemetry/telemetrySchema";
+import AlertBanner from "./AlertBanner";
+import ReplayControls from "./ReplayControls";
+import PacketFormatSettings from "./PacketFormatSettings";
+import CommandPanel from "./CommandPanel";
+import NotesPanel from "./NotesPanel";
+import LinkHealth from "./LinkHealth";
+import RejectedFrames from "./RejectedFrames";
+import AlertRulesEditor from "./AlertRulesEditor";
+import TelemetrySchemaSettings from "./TelemetrySchemaSettings";
+import TelemetryReadout from "./TelemetryReadout";
+import DerivedTelemetry from "./DerivedTelemetry";
+import CalibrationPanel from "./CalibrationPanel";
+import FilterSettings from "./FilterSettings";
+import FlightTimeline from "./FlightTimeline";
+import TelemetryCharts from "./TelemetryCharts";
+import GroundTrackMap from "./GroundTrackMap";
+import LandingPrediction from "./LandingPrediction";
+import GroundStationPanel from "./GroundStationPanel";
+import RecoveryNavigator from "./RecoveryNavigator";
+import ExportControls from "./ExportControls";
+import SessionBrowser from "./SessionBrowser";
+
+// -----------------------------------------------------------------------------
+// 📊 Classic Console: the fixed single-kit layout of DashBoard03 and 04
+// -----------------------------------------------------------------------------
+// `kit` comes from useKit, `telemetrySchema` from useTelemetrySchema and
+// `groundStation` from useGroundStation. `link` is the dashboard's own
+// connection controls, shown under the alerts.
+const ClassicConsole = ({ kit, telemetrySchema, groundStation, link }) => {
+  const { telemetry, linked, connection, fields, alerts, uplink } = kit;
+  const {
+    connected,
+    reconnecting,
+    transport,
+    source,
+    sensorData,
+    logData,
+    samples,
+    isLogging,
+    session,
+    notes,
+    linkStats,
+    landingPrediction,
+  } = telemetry;
+  const group = (name) => fields.filter((entry) => entry.group === name);
+
+  return (
+    <>
+      {/* 🚨 Active Alerts */}
+      <AlertBanner
+        alerts={alerts.alerts}
+        onAcknowledge={alerts.acknowledge}
+        onAcknowledgeAll={alerts.acknowledgeAll}
+        onSnooze={alerts.snooze}
+        muted={alerts.muted}
+        onToggleMute={() => alerts.setMuted(!alerts.muted)}
+      />
+
+      {link}
+
+      {transport === "replay" && source && (
+        <ReplayControls source={source} samples={samples} />
+      )}
+
+      <PacketFormatSettings
+        format={connection.packetFormat}
+        onChange={connection.setPacketFormat}
+        disabled={linked}
+      />
+
+      {/* 🔘 Command Panel */}
+      <h2 className="text-lg font-bold text-blue-300 mb-2">Command Pannel</h2>
+      <div className=" flex  gap-2 mb-4 w-full max-w-md ">
+        <button
+          onClick={() => telemetry.startLogging()}
+          className="py-2 w-full px-1 font-semibold text-sm text-white  rounded bg-green-300 "
+        >
+          Start Logging
+        </button>
+        <button
+          onClick={telemetry.reset}
+          className="py-2 w-full px-1 font-semibold text-sm text-white  rounded bg-blue-500"
+        >
+          Reset
+        </button>
+        <button
+          onClick={kit.calibrate}
+          disabled={samples.length === 0}
+          className="py-2 w-full px-1 font-semibold text-sm text-white  rounded bg-yellow-600"
+        >
+          Calibrate
+        </button>
+      </div>
+      <CommandPanel
+        history={uplink.history}
+        onIssue={uplink.issue}
+        onClearHistory={uplink.clearHistory}
+        teamId={connection.packetFormat.teamId || DEFAULT_TEAM_ID}
+        disabled={!connected}
+      />
+
+      {/* 📝 Operator Notes */}
+      <NotesPanel
+        notes={notes}
+        onAdd={telemetry.addNote}
+        onUpdate={telemetry.updateNote}
+        onDelete={telemetry.deleteNote}
+      />
+
+      {/* 🔁 Reconnect Status */}
+      {reconnecting && (
+        <p className="text-yellow-400 mb-2 text-sm">
+          🔁 Link lost, reconnecting (attempt {reconnecting.attempt})...
+        </p>
+      )}
+
+      {/* 🧾 Logging Status */}
+      {isLogging && (
+        <p className="text-green-400 mb-2 text-sm">
+          🟢 Logging active{session && ` · ${session.name}`}
+        </p>
+      )}
+
+      <LinkHealth stats={linkStats} />
+      <RejectedFrames
+        frames={telemetry.rejectedFrames}
+        count={telemetry.rejectedCount}
+      />
+      <AlertRulesEditor
+        rules={alerts.rules}
+        fields={fields.filter((entry) => entry.group !== "system")}
+        onChange={alerts.setRules}
+        onReset={alerts.resetRules}
+      />
+      {/* The kit's /schema endpoint is only reachable over WiFi */}
+      <TelemetrySchemaSettings
+        schema={telemetrySchema.schema}
+        source={telemetrySchema.schemaSource}
+        onLoadFile={telemetrySchema.loadFile}
+        onFetch={
+          TRANSPORTS[connection.transportType]?.needsIp
+            ? telemetrySchema.fetchFromDevice
+            : undefined
+        }
+        deviceIp={connection.ip}
+        onReset={telemetrySchema.resetSchema}
+      />
+
+      {/* 📊 Sensor Data with Units */}
+      <h2 className="text-lg font-bold text-blue-300 mb-2">Telementary Data</h2>
+      <TelemetryReadout fields={group("sensors")} sensorData={sensorData} />
+
+      {/* 🧮 Derived Values */}
+      <DerivedTelemetry
+        fields={group("derived")}
+        sensorData={sensorData}
+        referencePressure={telemetry.referencePressure}
+        onReferencePressureChange={telemetry.setReferencePressure}
+      />
+      <CalibrationPanel
+        calibration={telemetry.calibration}
+        fields={fields}
+        sensorData={sensorData}
+        onChange={telemetry.setCalibration}
+        onZero={telemetry.calibrateGround}
+      />
+      <FilterSettings
+        filters={telemetry.filters}
+        fields={fields}
+        onChange={telemetry.setFilters}
+      />
+
+      {/* 🕒 Flight Phase & Events */}
+      <FlightTimeline
+        flight={telemetry.flight}
+        config={telemetry.phaseConfig}
+        onConfigChange={telemetry.setPhaseConfig}
+        notes={notes}
+      />
+
+      {/* 📈 Live Charts */}
+      <h2 className="text-lg font-bold text-blue-300 mb-2">Live Charts</h2>
+      <TelemetryCharts
+        samples={samples}
+        notes={notes}
+        channels={fields.filter((entry) => entry.chart)}
+      />
+
+      {/* 🧭 GPS & Time Data */}
+      <h2 className="text-lg font-bold text-blue-300 mb-2">
+        {FIELD_GROUPS.gps}
+      </h2>
+      <TelemetryReadout
+        fields={group("gps")}
+        sensorData={sensorData}
+        columns={1}
+      />
+
+      {/* ❔ Fields outside the schema */}
+      {group("other").length > 0 && (
+        <>
+          <h2 className="text-lg font-bold text-blue-300 mb-2">
+            {FIELD_GROUPS.other}
+          </h2>
+          <TelemetryReadout fields={group("other")} sensorData={sensorData} />
+        </>
+      )}
+
+      {/* 🗺️ Ground Track Map */}
+      <h2 className="text-lg font-bold text-blue-300 mb-2">Ground Track</h2>
+      <GroundTrackMap
+        samples={samples}
+        groundStation={groundStation.station}
+        landingPrediction={landingPrediction}
+      />
+      <LandingPrediction
+        prediction={landingPrediction}
+        groundStation={groundStation.station}
+      />
+      <GroundStationPanel
+        station={groundStation.station}
+        locating={groundStation.locating}
+        onLocate={groundStation.locate}
+        onManual={groundStation.setManual}
+      />
+      <RecoveryNavigator
+        samples={samples}
+        station={groundStation.station}
+        tracking={groundStation.tracking}
+        onTrack={groundStation.track}
+        onStop={groundStation.stopTracking}
+      />
+
+      {/* 📥 Download Button */}
+      <ExportControls
+        format={kit.exportFormat}
+        onFormatChange={kit.setExportFormat}
+        onDownload={() => kit.saveLog(logData, session)}
+      />
+
+      {/* 🗂️ Stored Flights */}
+      <SessionBrowser
+        activeSessionId={isLogging ? session?.id : null}
+        onOpen={kit.reviewSession}
+        onExport={kit.saveLog}
+      />
+    </>
+  );
+};
+
+export default ClassicConsole;
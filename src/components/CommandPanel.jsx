@@ -0,0 +1,148 @@
+import React, { useState } from "react";
+import {
+  COMMAND_CATALOG,
+  COMMAND_STATUS,
+  findCommand,
+  initialArgs,
+} from "../commands/commandCatalog";
+import { downloadFile } from "../utils/downloadFile";
+import { toCsv } from "../export/logExport";
+
+const HISTORY_HEADERS = [
+  "id",
+  "label",
+  "message",
+  "status",
+  "attempts",
+  "issuedAt",
+  "settledAt",
+  "error",
+];
+
+// -----------------------------------------------------------------------------
+// 🕹️ Command Panel: pick a catalog command, send it, watch its status
+// -----------------------------------------------------------------------------
+const CommandPanel = ({
+  history,
+  onIssue,
+  onClearHistory,
+  teamId,
+  disabled,
+}) => {
+  const [commandId, setCommandId] = useState(COMMAND_CATALOG[0].id);
+  const [args, setArgs] = useState(initialArgs(COMMAND_CATALOG[0]));
+  const command = findCommand(commandId);
+
+  const selectCommand = (id) => {
+    setCommandId(id);
+    setArgs(initialArgs(findCommand(id)));
+  };
+
+  const setArg = (index, value) => {
+    setArgs((prev) => prev.map((arg, i) => (i === index ? value : arg)));
+  };
+
+  const handleExportHistory = () => {
+    if (history.length === 0) {
+      alert("No commands to save.");
+      return;
+    }
+    downloadFile(
+      toCsv(history, HISTORY_HEADERS),
+      "cansat_commands.csv",
+      "text/csv;charset=utf-8;"
+    );
+  };
+
+  return (
+    <div className="w-full max-w-md mb-4 text-sm">
+      <div className="flex gap-1 mb-1">
+        <select
+          value={commandId}
+          onChange={(e) => selectCommand(e.target.value)}
+          className="flex-1 rounded text-white border-2 bg-gray-700 py-1"
+        >
+          {COMMAND_CATALOG.map(({ id, label }) => (
+            <option key={id} value={id}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {(command.args ?? []).map((arg, i) =>
+          arg.options ? (
+            <select
+              key={arg.key}
+              value={args[i]}
+              onChange={(e) => setArg(i, e.target.value)}
+              title={arg.label}
+              className="rounded text-white border-2 bg-gray-700 py-1"
+            >
+              {arg.options.map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              key={arg.key}
+              type="text"
+              value={args[i]}
+              placeholder={arg.label}
+              onChange={(e) => setArg(i, e.target.value)}
+              className="w-28 rounded text-white border-2 bg-gray-700 px-1"
+            />
+          )
+        )}
+        <button
+          onClick={() => onIssue(command, { teamId, args })}
+          disabled={disabled}
+          className="px-2 rounded font-semibold bg-yellow-600 disabled:opacity-50"
+        >
+          Send
+        </button>
+      </div>
+
+      {/* 📜 Command History */}
+      {history.length > 0 && (
+        <div className="bg-gray-800 rounded p-1">
+          <div className="flex justify-between items-center mb-1">
+            <span className="text-cyan-200 font-semibold">Command History</span>
+            <div className="flex gap-1">
+              <button
+                onClick={handleExportHistory}
+                className="px-1 rounded bg-blue-500 text-xs"
+              >
+                Export
+              </button>
+              <button
+                onClick={onClearHistory}
+                className="px-1 rounded bg-gray-600 text-xs"
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+          <ul className="space-y-1 max-h-40 overflow-y-auto">
+            {history.map((entry) => (
+              <li
+                key={entry.id}
+                className="flex justify-between gap-1 bg-gray-900 p-1 rounded"
+              >
+                <span className="font-mono text-xs break-all">
+                  {entry.message}
+                </span>
+                <span className={COMMAND_STATUS[entry.status].className}>
+                  {COMMAND_STATUS[entry.status].label}
+                  {entry.attempts > 1 && ` ×${entry.attempts}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommandPanel;
@@ -0,0 +1,108 @@
+import React from "react";
+import { TRANSPORTS } from "../telemetry/transports";
+import { BAUD_RATES } from "../telemetry/serialSource";
+
+const inputClass = "rounded text-white border-2 bg-gray-700";
+
+// -----------------------------------------------------------------------------
+// 🌐 Connection Bar: transport, its settings and the Connect button
+// -----------------------------------------------------------------------------
+// `form` comes from useConnectionForm. Only the inputs the selected transport
+// needs are shown; all of them are locked while the link is up or retrying.
+const ConnectionBar = ({ form, linked }) => {
+  const {
+    transportType,
+    setTransportType,
+    ip,
+    setIp,
+    setReplayFile,
+    simFaults,
+    setSimFaults,
+    baudRate,
+    setBaudRate,
+    toggleConnection,
+  } = form;
+  const transport = TRANSPORTS[transportType];
+
+  return (
+    <div className="flex w-full max-w-md  gap-1 mb-2 text-sm text-center items-center ">
+      <select
+        value={transportType}
+        onChange={(e) => setTransportType(e.target.value)}
+        disabled={linked}
+        className={`w-[30%] ${inputClass} py-1.5`}
+      >
+        {Object.entries(TRANSPORTS).map(([key, { label }]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {transport.needsIp && (
+        <input
+          type="text"
+          placeholder="EnterESP32IP: 192.168.0.123"
+          value={ip}
+          onChange={(e) => setIp(e.target.value)}
+          disabled={linked}
+          className={` w-[40%] ${inputClass} py-1.5`}
+        />
+      )}
+      {transport.needsFile && (
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => setReplayFile(e.target.files[0] ?? null)}
+          disabled={linked}
+          className={` w-[40%] ${inputClass} py-1 text-xs`}
+        />
+      )}
+      {transport.needsFaults &&
+        Object.entries({ dropoutRate: "Drop %", garbageRate: "Bad %" }).map(
+          ([key, label]) => (
+            <input
+              key={key}
+              type="number"
+              min={0}
+              max={100}
+              title={label}
+              placeholder={label}
+              value={Math.round(simFaults[key] * 1000) / 10 || ""}
+              onChange={(e) =>
+                setSimFaults({
+                  ...simFaults,
+                  [key]: Math.min(Number(e.target.value), 100) / 100,
+                })
+              }
+              disabled={linked}
+              className={` w-[20%] ${inputClass} py-1.5`}
+            />
+          )
+        )}
+      {transport.needsBaudRate && (
+        <select
+          value={baudRate}
+          onChange={(e) => setBaudRate(Number(e.target.value))}
+          disabled={linked}
+          className={` w-[40%] ${inputClass} py-1.5`}
+        >
+          {BAUD_RATES.map((rate) => (
+            <option key={rate} value={rate}>
+              {rate} baud
+            </option>
+          ))}
+        </select>
+      )}
+      <button
+        onClick={toggleConnection}
+        className={` flex-1 px-1 py-2 rounded font-semibold  ${
+          linked ? "bg-red-500" : "bg-green-500"
+        }`}
+      >
+        {linked ? "Disconnect" : "Connect"}
+      </button>
+    </div>
+  );
+};
+
+export default ConnectionBar;
@@ -0,0 +1,75 @@
+import React from "react";
+import { DEFAULT_REFERENCE_PRESSURE } from "../analysis/derived";
+import { formatValue, isMissing } from "../telemetry/telemetrySchema";
+
+// -----------------------------------------------------------------------------
+// 🧮 Derived Telemetry: computed values next to the raw ones
+// -----------------------------------------------------------------------------
+// `fields` is the schema's "derived" group.
+const DerivedTelemetry = ({
+  fields,
+  sensorData,
+  referencePressure,
+  onReferencePressureChange,
+}) => {
+  const verticalSpeed = Number(sensorData.verticalSpeed);
+  const descending = !isMissing(sensorData.verticalSpeed) && verticalSpeed < 0;
+  const pressure = Number(sensorData.pressure);
+
+  // Applied on blur/Enter so half-typed numbers don't move the zero level
+  const commitReference = (e) => {
+    const hPa = Number(e.target.value);
+    if (hPa > 0) onReferencePressureChange(hPa);
+    else e.target.value = referencePressure;
+  };
+
+  return (
+    <div className="w-full max-w-md mb-2">
+      <div className="grid grid-cols-2 gap-1 mb-1">
+        {fields.map((entry) => (
+          <div key={entry.key} className="bg-gray-800 p-1 rounded text-sm">
+            <span className="text-cyan-200 font-semibold ">{entry.label}:</span>{" "}
+            <span className="text-white">
+              {formatValue(entry, sensorData[entry.key])}
+            </span>
+          </div>
+        ))}
+        <div className="bg-gray-800 p-1 rounded text-sm">
+          <span className="text-cyan-200 font-semibold ">Descent Rate:</span>{" "}
+          <span className={descending ? "text-orange-300" : "text-white"}>
+            {descending ? `${(-verticalSpeed).toFixed(2)} m/s` : "..."}
+          </span>
+        </div>
+      </div>
+
+      <div className="flex gap-1 items-center text-xs bg-gray-800 rounded p-1">
+        <span className="text-gray-300">Baro reference (hPa):</span>
+        <input
+          type="number"
+          step="0.01"
+          key={referencePressure}
+          defaultValue={referencePressure}
+          onBlur={commitReference}
+          onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+          className="w-20 rounded text-white border-2 bg-gray-700 px-1"
+        />
+        <button
+          onClick={() => onReferencePressureChange(pressure)}
+          disabled={!(pressure > 0)}
+          title="Use the current pressure, so baro altitude reads height above the pad"
+          className="px-2 rounded bg-blue-500 disabled:opacity-50"
+        >
+          Zero here
+        </button>
+        <button
+          onClick={() => onReferencePressureChange(DEFAULT_REFERENCE_PRESSURE)}
+          className="px-2 rounded bg-gray-600"
+        >
+          Sea level
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DerivedTelemetry;
@@ -0,0 +1,176 @@
+import React from "react";
+import useKit from "../devices/useKit";
+import { TRANSPORTS } from "../telemetry/transports";
+import { LINK_HEALTH } from "../telemetry/linkMonitor";
+import { findField, formatValue } from "../telemetry/telemetrySchema";
+import { PHASES } from "../analysis/flightPhase";
+import { SEVERITIES } from "../alerts/alertRules";
+import { DEVICE_COLORS, deviceColor } from "../devices/devices";
+import KitConsole from "./KitConsole";
+
+// Shown on every overview card
+const CARD_FIELDS = ["altitude", "verticalSpeed", "battery", "satellites"];
+
+const inputClass = "rounded text-white border-2 bg-gray-700 px-1";
+
+// -----------------------------------------------------------------------------
+// 🛰️ Device Monitor: one kit's link, log and alerts, as a card or full view
+// -----------------------------------------------------------------------------
+// Every device keeps its own telemetry hook, so it stays connected and logging
+// whichever view is shown. `view` is "card" in the overview, "full" when
+// drilled into, and "hidden" while another device has the full view.
+const DeviceMonitor = ({
+  device,
+  schema,
+  groundStation,
+  view,
+  onOpen,
+  onClose,
+  onChange,
+  onRemove,
+}) => {
+  const kit = useKit({
+    telemetry: { deviceId: device.id, deviceName: device.name },
+    connection: {
+      initialSettings: device.link,
+      onSettingsChange: (link) => onChange({ link }),
+    },
+    schema,
+  });
+  const { telemetry, linked, connection, fields, alerts } = kit;
+  const { transport, sensorData, isLogging, linkStats, flight } = telemetry;
+  const color = deviceColor(device);
+
+  const handleRemove = async () => {
+    if (!confirm(`Remove ${device.name}? Its stored flights are kept.`)) return;
+    if (linked) await telemetry.disconnect();
+    // Unmounting leaves the flight open to resume; no kit is left to resume it
+    await telemetry
+      .stopLogging()
+      .catch((err) => console.error("Could not close flight session:", err));
+    onRemove();
+  };
+
+  if (view === "hidden") return null;
+
+  // ---------------------------------------------------------------------------
+  // 🗂️ Overview card
+  // ---------------------------------------------------------------------------
+  if (view === "card") {
+    const health = LINK_HEALTH[linkStats.health];
+    const worst = alerts.alerts[0]; // Sorted worst first
+
+    return (
+      <div
+        className="bg-gray-800 rounded p-2 text-sm border-l-4"
+        style={{ borderColor: color }}
+      >
+        <div className="flex items-center gap-1 mb-1">
+          <span className="font-bold flex-1 truncate" style={{ color }}>
+            {device.name}
+          </span>
+          {worst && (
+            <span
+              title={worst.message}
+              className={`px-1 rounded text-xs ${SEVERITIES[worst.severity].className}`}
+            >
+              ⚠ {alerts.alerts.length}
+            </span>
+          )}
+          {isLogging && <span title="Logging">🟢</span>}
+        </div>
+
+        <div className="flex items-center gap-1 text-xs text-gray-300 mb-1">
+          <span
+            className={`inline-block w-3 h-3 rounded-full ${health.className}`}
+          />
+          <span className="flex-1">
+            {health.label}
+            {linkStats.packetsPerSecond !== null &&
+              linkStats.health !== "idle" &&
+              ` · ${linkStats.packetsPerSecond.toFixed(1)}/s`}
+          </span>
+          <span>
+            {TRANSPORTS[transport ?? connection.transportType]?.label}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-2 gap-1 mb-1">
+          {CARD_FIELDS.map((key) => {
+            const entry = findField(fields, key);
+            if (!entry) return null;
+            return (
+              <div key={key} className="bg-gray-900 rounded px-1">
+                <span className="text-cyan-200 text-xs">{entry.label}</span>
+                <div className="font-semibold">
+                  {formatValue(entry, sensorData[key])}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        <p className={`text-xs mb-1 ${PHASES[flight.phase].className}`}>
+          {PHASES[flight.phase].label}
+        </p>
+
+        <div className="flex gap-1">
+          <button
+            onClick={connection.toggleConnection}
+            className={`flex-1 py-1 rounded font-semibold ${
+              linked ? "bg-red-500" : "bg-green-500"
+            }`}
+          >
+            {linked ? "Disconnect" : "Connect"}
+          </button>
+          <button
+            onClick={onOpen}
+            className="flex-1 py-1 rounded font-semibold bg-blue-500"
+          >
+            Open
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // 🔍 Full view
+  // ---------------------------------------------------------------------------
+  return (
+    <div className="w-full flex flex-col items-center">
+      <div
+        className="flex flex-wrap gap-1 items-center w-full max-w-md mb-2 text-sm border-l-4 pl-1"
+        style={{ borderColor: color }}
+      >
+        <button onClick={onClose} className="px-2 py-1 rounded bg-gray-700">
+          ← All kits
+        </button>
+        <input
+          type="text"
+          value={device.name}
+          onChange={(e) => onChange({ name: e.target.value })}
+          className={`flex-1 py-1 font-bold ${inputClass}`}
+          style={{ color }}
+        />
+        <select
+          value={device.color}
+          onChange={(e) => onChange({ color: e.target.value })}
+          className={`py-1 ${inputClass}`}
+        >
+          {DEVICE_COLORS.map((entry) => (
+            <option key={entry.key} value={entry.key}>
+              {entry.label}
+            </option>
+          ))}
+        </select>
+        <button onClick={handleRemove} className="px-2 py-1 rounded bg-red-600">
+          Remove
+        </button>
+      </div>
+
+      <KitConsole kit={kit} groundStation={groundStation} />
+    </div>
+  );
+};
+
+export default DeviceMonitor;
@@ -0,0 +1,30 @@
+import React from "react";
+import { EXPORT_FORMATS } from "../export/logExport";
+
+// -----------------------------------------------------------------------------
+// 📥 Export Controls: pick a file format, download the current log
+// -----------------------------------------------------------------------------
+// The chosen format also applies to exports from the session browser.
+const ExportControls = ({ format, onFormatChange, onDownload }) => (
+  <div className="flex gap-1 mb-2 text-sm">
+    <select
+      value={format}
+      onChange={(e) => onFormatChange(e.target.value)}
+      className="rounded text-white border-2 bg-gray-700 py-1"
+    >
+      {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+        <option key={key} value={key}>
+          {label}
+        </option>
+      ))}
+    </select>
+    <button
+      onClick={onDownload}
+      className="px-1 py-1 bg-blue-500 rounded hover:bg-blue-600 text-sm"
+    >
+      Download Log
+    </button>
+  </div>
+);
+
+export default ExportControls;
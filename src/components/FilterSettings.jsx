@@ -0,0 +1,112 @@
+import React from "react";
+import { FILTER_PARAMS, FILTER_TYPES, newFilter } from "../analysis/filters";
+
+const inputClass = "rounded text-white border-2 bg-gray-700 px-1";
+
+// -----------------------------------------------------------------------------
+// 🧽 Filter Settings: smoothing and spike rejection per field
+// -----------------------------------------------------------------------------
+// `fields` is the schema; readings (not derived or system fields) can be
+// filtered. Numbers are applied on blur/Enter, like the calibration panel.
+const FilterSettings = ({ filters, fields, onChange }) => {
+  const filtered = new Set(filters.map((filter) => filter.key));
+  const labelOf = (key) =>
+    fields.find((entry) => entry.key === key)?.label ?? key;
+
+  const update = (key, changes) =>
+    onChange(
+      filters.map((filter) =>
+        filter.key === key ? { ...filter, ...changes } : filter
+      )
+    );
+
+  const commitNumber = (filter, name) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== "" && value >= FILTER_PARAMS[name].min) {
+      update(filter.key, {
+        [name]: name === "window" ? Math.round(value) : value,
+      });
+    } else e.target.value = filter[name];
+  };
+
+  return (
+    <details className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <summary className="cursor-pointer text-cyan-200 font-semibold">
+        Filters{filters.length > 0 && ` (${filters.length})`}
+      </summary>
+      <div className="flex flex-col gap-1 mt-1 text-xs">
+        {filters.map((filter) => (
+          <div
+            key={filter.key}
+            className="flex flex-wrap gap-1 items-end bg-gray-900 rounded p-1"
+          >
+            <span className="w-full flex justify-between">
+              <span className="text-white font-semibold">
+                {labelOf(filter.key)}
+              </span>
+              <button
+                onClick={() =>
+                  onChange(filters.filter((entry) => entry.key !== filter.key))
+                }
+                title="Remove filter"
+                className="px-1 rounded bg-red-600"
+              >
+                ✕
+              </button>
+            </span>
+            <select
+              value={filter.type}
+              onChange={(e) => update(filter.key, { type: e.target.value })}
+              className={`py-0.5 ${inputClass}`}
+            >
+              {Object.entries(FILTER_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            {FILTER_TYPES[filter.type].params.map((name) => (
+              <label key={name} className="flex flex-col">
+                <span className="text-gray-300">
+                  {FILTER_PARAMS[name].label}
+                </span>
+                <input
+                  type="number"
+                  min={FILTER_PARAMS[name].min}
+                  step={FILTER_PARAMS[name].step}
+                  key={filter[name]}
+                  defaultValue={filter[name]}
+                  onBlur={commitNumber(filter, name)}
+                  onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                  className={`w-20 ${inputClass}`}
+                />
+              </label>
+            ))}
+          </div>
+        ))}
+        <select
+          value=""
+          onChange={(e) => onChange([...filters, newFilter(e.target.value)])}
+          className={`self-start ${inputClass}`}
+        >
+          <option value="" disabled>
+            + Filter a field
+          </option>
+          {fields
+            .filter(
+              (entry) =>
+                !["derived", "system"].includes(entry.group) &&
+                !filtered.has(entry.key)
+            )
+            .map((entry) => (
+              <option key={entry.key} value={entry.key}>
+                {entry.label}
+              </option>
+            ))}
+        </select>
+      </div>
+    </details>
+  );
+};
+
+export default FilterSettings;
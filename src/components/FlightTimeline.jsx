@@ -0,0 +1,102 @@
+import React from "react";
+import { PHASES } from "../analysis/flightPhase";
+
+const CONFIG_FIELDS = [
+  { key: "launchHeight", label: "Launch height (m)" },
+  { key: "launchSamples", label: "Launch samples" },
+  { key: "apogeeDrop", label: "Apogee drop (m)" },
+  { key: "apogeeSamples", label: "Apogee samples" },
+  { key: "landedHeight", label: "Landed height (m)" },
+  { key: "landedRate", label: "Landed speed (m/s)" },
+  { key: "landedSamples", label: "Landed samples" },
+];
+
+const EVENT_ICONS = { launch: "🚀", apogee: "⛰️", landed: "🪂" };
+
+// Detected events and operator notes, in the order they happened
+const timelineEntries = (events, notes) =>
+  [
+    ...events.map((e) => ({
+      id: `${e.type}-${e.time}`,
+      time: e.time,
+      icon: EVENT_ICONS[e.type],
+      text: e.message,
+      altitude: e.altitude,
+    })),
+    ...notes.map((note) => ({
+      id: note.id,
+      time: note.time,
+      icon: "📝",
+      text: note.text,
+      altitude: note.sample.altitude,
+    })),
+  ].sort((a, b) => new Date(a.time) - new Date(b.time)); // ms or ISO
+
+// -----------------------------------------------------------------------------
+// 🕒 Flight Timeline: current phase, detected events and detector thresholds
+// -----------------------------------------------------------------------------
+const FlightTimeline = ({ flight, config, onConfigChange, notes = [] }) => {
+  const entries = timelineEntries(flight.events, notes);
+  const launch = flight.events.find((e) => e.type === "launch");
+  const landed = flight.events.find((e) => e.type === "landed");
+
+  return (
+    <div className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <div className="flex justify-between items-center">
+        <span className="text-cyan-300 font-semibold">Flight Phase:</span>
+        <span className={`font-bold ${PHASES[flight.phase].className}`}>
+          {PHASES[flight.phase].label}
+        </span>
+      </div>
+
+      {entries.length > 0 && (
+        <ol className="mt-1 border-l-2 border-gray-600 pl-2 space-y-1">
+          {entries.map((entry) => (
+            <li key={entry.id}>
+              <span className="text-gray-400">
+                {new Date(entry.time).toLocaleTimeString()}
+              </span>{" "}
+              {entry.icon} {entry.text}
+              {entry.altitude !== undefined && entry.altitude !== "" && (
+                <span className="text-gray-400"> · {entry.altitude} m</span>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+      {launch && landed && (
+        <p className="mt-1 text-green-400">
+          Flight duration:{" "}
+          {((Date.parse(landed.time) - Date.parse(launch.time)) / 1000).toFixed(
+            0
+          )}{" "}
+          s
+        </p>
+      )}
+
+      <details className="mt-1">
+        <summary className="cursor-pointer text-gray-400 text-xs">
+          Detection thresholds
+        </summary>
+        <div className="grid grid-cols-2 gap-1 mt-1 text-xs">
+          {CONFIG_FIELDS.map(({ key, label }) => (
+            <label key={key} className="flex flex-col">
+              <span className="text-gray-300">{label}</span>
+              <input
+                type="number"
+                min={0}
+                value={config[key]}
+                onChange={(e) =>
+                  onConfigChange({ ...config, [key]: Number(e.target.value) })
+                }
+                className="rounded text-white border-2 bg-gray-700 px-1"
+              />
+            </label>
+          ))}
+        </div>
+      </details>
+    </div>
+  );
+};
+
+export default FlightTimeline;
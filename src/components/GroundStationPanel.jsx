@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+
+// -----------------------------------------------------------------------------
+// 📍 Ground Station Panel: locate the operator or type coordinates in
+// -----------------------------------------------------------------------------
+const GroundStationPanel = ({ station, locating, onLocate, onManual }) => {
+  const [lat, setLat] = useState("");
+  const [lon, setLon] = useState("");
+
+  const handleLocate = async () => {
+    try {
+      await onLocate();
+    } catch (err) {
+      console.error("Geolocation error:", err);
+      alert("Could not get your location. Enter it by hand instead.");
+    }
+  };
+
+  const handleManual = () => {
+    // Number("") is 0, so blank boxes are caught before converting
+    const latitude = lat.trim() === "" ? NaN : Number(lat);
+    const longitude = lon.trim() === "" ? NaN : Number(lon);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      alert("Enter latitude and longitude in decimal degrees.");
+      return;
+    }
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      alert("Latitude must be within ±90° and longitude within ±180°.");
+      return;
+    }
+    onManual(latitude, longitude);
+  };
+
+  return (
+    <div className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <div className="flex justify-between items-center">
+        <span className="text-cyan-300 font-semibold">Ground Station:</span>
+        <span className="text-white">
+          {station
+            ? `${station.lat.toFixed(6)}, ${station.lon.toFixed(6)} (${station.source})`
+            : "..."}
+        </span>
+      </div>
+      <div className="flex gap-1 mt-1">
+        <button
+          onClick={handleLocate}
+          disabled={locating}
+          className="px-2 rounded bg-green-600 disabled:opacity-50"
+        >
+          {locating ? "Locating..." : "📍 Locate"}
+        </button>
+        <input
+          type="text"
+          placeholder="Lat"
+          value={lat}
+          onChange={(e) => setLat(e.target.value)}
+          className="w-1/3 rounded text-white border-2 bg-gray-700 px-1"
+        />
+        <input
+          type="text"
+          placeholder="Lon"
+          value={lon}
+          onChange={(e) => setLon(e.target.value)}
+          className="w-1/3 rounded text-white border-2 bg-gray-700 px-1"
+        />
+        <button onClick={handleManual} className="px-2 rounded bg-blue-500">
+          Set
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default GroundStationPanel;
@@ -0,0 +1,359 @@
+import React, { useState } from "react";
+import {
+  TILE_SIZE,
+  isValidFix,
+  toFix,
+  lonToWorldX,
+  latToWorldY,
+  worldXToLon,
+  worldYToLat,
+  metersPerPixel,
+} from "../utils/geo";
+
+const WIDTH = 320;
+const HEIGHT = 240;
+const FIT_MARGIN = 30;
+const MIN_ZOOM = 2;
+const MAX_ZOOM = 19;
+const TILE_URL_KEY = "cansat.map.tileUrl";
+
+// Tile packs are plain {z}/{x}/{y}.png folders. Drop one into public/tiles
+// before launch day, or point the URL at any tile server while online: the
+// service worker caches every tile it fetches, so the field works offline.
+const DEFAULT_TILE_URL = "/tiles/{z}/{x}/{y}.png";
+
+const GRID_STEPS = [
+  0.0001, 0.0002, 0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5,
+  1, 2, 5, 10,
+];
+const SCALE_STEPS = [10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
+
+const tileUrl = (template, z, x, y) =>
+  template.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+
+const circleAt = ({ x, y }) => ({ cx: x, cy: y });
+
+// Largest zoom that still fits every point inside the view
+const fitZoom = (points) => {
+  for (let zoom = MAX_ZOOM - 1; zoom >= MIN_ZOOM; zoom--) {
+    const xs = points.map((p) => lonToWorldX(p.lon, zoom));
+    const ys = points.map((p) => latToWorldY(p.lat, zoom));
+    if (
+      Math.max(...xs) - Math.min(...xs) <= WIDTH - 2 * FIT_MARGIN &&
+      Math.max(...ys) - Math.min(...ys) <= HEIGHT - 2 * FIT_MARGIN
+    ) {
+      return zoom;
+    }
+  }
+  return MIN_ZOOM;
+};
+
+const centerOf = (points) => {
+  const lats = points.map((p) => p.lat);
+  const lons = points.map((p) => p.lon);
+  return {
+    lat: (Math.min(...lats) + Math.max(...lats)) / 2,
+    lon: (Math.min(...lons) + Math.max(...lons)) / 2,
+  };
+};
+
+// -----------------------------------------------------------------------------
+// 🗺️ Ground Track Map: track, current position, launch point, ground station
+// and, during descent, the predicted landing area
+// -----------------------------------------------------------------------------
+// Works with no network at all: the lat/lon grid and scale bar are always
+// drawn, and map tiles are layered on top only where they load.
+const GroundTrackMap = ({
+  samples,
+  groundStation = null,
+  landingPrediction = null,
+}) => {
+  const [zoomOffset, setZoomOffset] = useState(0); // +/- relative to auto-fit
+  const [template, setTemplate] = useState(
+    () => localStorage.getItem(TILE_URL_KEY) || DEFAULT_TILE_URL
+  );
+  const [failedTiles, setFailedTiles] = useState({}); // url → true
+
+  const track = samples.filter(isValidFix).map(toFix);
+  const launch = track[0];
+  const current = track[track.length - 1];
+  const points = [...track];
+  if (groundStation) points.push(groundStation);
+  if (landingPrediction) points.push(landingPrediction);
+
+  const updateTemplate = (value) => {
+    setTemplate(value);
+    setFailedTiles({});
+    localStorage.setItem(TILE_URL_KEY, value);
+  };
+
+  if (points.length === 0) {
+    return (
+      <div className="w-full max-w-md mb-2 bg-gray-800 rounded p-2 text-sm text-center text-gray-400">
+        Waiting for a GPS fix...
+      </div>
+    );
+  }
+
+  const zoom = Math.min(
+    Math.max(fitZoom(points) + zoomOffset, MIN_ZOOM),
+    MAX_ZOOM
+  );
+  const center = centerOf(points);
+  const originX = lonToWorldX(center.lon, zoom) - WIDTH / 2;
+  const originY = latToWorldY(center.lat, zoom) - HEIGHT / 2;
+  const project = ({ lat, lon }) => ({
+    x: lonToWorldX(lon, zoom) - originX,
+    y: latToWorldY(lat, zoom) - originY,
+  });
+
+  // ---------------------------------------------------------------------------
+  // 🧱 Tiles covering the view
+  // ---------------------------------------------------------------------------
+  const tiles = [];
+  const tileCount = 2 ** zoom;
+  for (
+    let tx = Math.floor(originX / TILE_SIZE);
+    tx <= Math.floor((originX + WIDTH) / TILE_SIZE);
+    tx++
+  ) {
+    for (
+      let ty = Math.floor(originY / TILE_SIZE);
+      ty <= Math.floor((originY + HEIGHT) / TILE_SIZE);
+      ty++
+    ) {
+      if (ty < 0 || ty >= tileCount) continue;
+      const url = tileUrl(template, zoom, (tx + tileCount) % tileCount, ty);
+      if (!failedTiles[url]) {
+        tiles.push({
+          url,
+          x: tx * TILE_SIZE - originX,
+          y: ty * TILE_SIZE - originY,
+        });
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // 📐 Grid fallback and scale bar
+  // ---------------------------------------------------------------------------
+  const west = worldXToLon(originX, zoom);
+  const east = worldXToLon(originX + WIDTH, zoom);
+  const north = worldYToLat(originY, zoom);
+  const south = worldYToLat(originY + HEIGHT, zoom);
+  const step =
+    GRID_STEPS.find((s) => (east - west) / s <= 5) ??
+    GRID_STEPS[GRID_STEPS.length - 1];
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  const lonLines = [];
+  for (let lon = Math.ceil(west / step) * step; lon <= east; lon += step) {
+    lonLines.push(lon);
+  }
+  const latLines = [];
+  for (let lat = Math.ceil(south / step) * step; lat <= north; lat += step) {
+    latLines.push(lat);
+  }
+
+  const mPerPx = metersPerPixel(center.lat, zoom);
+  const scaleMeters =
+    [...SCALE_STEPS].reverse().find((m) => m / mPerPx <= WIDTH / 3) ??
+    SCALE_STEPS[0];
+  const scalePx = scaleMeters / mPerPx;
+
+  const trackPath = track
+    .map((fix, i) => {
+      const { x, y } = project(fix);
+      return `${i === 0 ? "M" : "L"}${x},${y}`;
+    })
+    .join(" ");
+
+  return (
+    <div className="w-full max-w-md mb-2">
+      <div className="relative">
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full bg-gray-800 rounded"
+        >
+          {tiles.map(({ url, x, y }) => (
+            <image
+              key={url}
+              href={url}
+              x={x}
+              y={y}
+              width={TILE_SIZE}
+              height={TILE_SIZE}
+              onError={() =>
+                setFailedTiles((prev) => ({ ...prev, [url]: true }))
+              }
+            />
+          ))}
+
+          {lonLines.map((lon) => {
+            const { x } = project({ lat: center.lat, lon });
+            return (
+              <g key={`lon-${lon}`}>
+                <line
+                  x1={x}
+                  x2={x}
+                  y1={0}
+                  y2={HEIGHT}
+                  className="stroke-gray-600"
+                  strokeWidth={0.5}
+                />
+                <text
+                  x={x + 2}
+                  y={HEIGHT - 14}
+                  className="fill-gray-400 text-[8px]"
+                >
+                  {lon.toFixed(decimals)}
+                </text>
+              </g>
+            );
+          })}
+          {latLines.map((lat) => {
+            const { y } = project({ lat, lon: center.lon });
+            return (
+              <g key={`lat-${lat}`}>
+                <line
+                  x1={0}
+                  x2={WIDTH}
+                  y1={y}
+                  y2={y}
+                  className="stroke-gray-600"
+                  strokeWidth={0.5}
+                />
+                <text x={2} y={y - 2} className="fill-gray-400 text-[8px]">
+                  {lat.toFixed(decimals)}
+                </text>
+              </g>
+            );
+          })}
+
+          {/* 🛰️ Track, launch point, current position */}
+          <path
+            d={trackPath}
+            fill="none"
+            strokeWidth={2}
+            className="stroke-cyan-400"
+          />
+          {launch && (
+            <circle
+              {...circleAt(project(launch))}
+              r={4}
+              className="fill-green-500"
+            />
+          )}
+          {groundStation && (
+            <rect
+              x={project(groundStation).x - 4}
+              y={project(groundStation).y - 4}
+              width={8}
+              height={8}
+              className="fill-yellow-400"
+            />
+          )}
+          {landingPrediction && (
+            <g>
+              <circle
+                {...circleAt(project(landingPrediction))}
+                r={Math.max(landingPrediction.radius / mPerPx, 3)}
+                className="fill-orange-400/20 stroke-orange-400"
+                strokeDasharray="4 2"
+              />
+              <text
+                {...project(landingPrediction)}
+                textAnchor="middle"
+                dominantBaseline="central"
+                className="fill-orange-400 text-[10px] font-bold"
+              >
+                ✕
+              </text>
+            </g>
+          )}
+          {current && (
+            <circle
+              {...circleAt(project(current))}
+              r={5}
+              className="fill-red-500 stroke-white"
+              strokeWidth={1.5}
+            />
+          )}
+
+          {/* 📏 Scale bar */}
+          <line
+            x1={WIDTH - 10 - scalePx}
+            x2={WIDTH - 10}
+            y1={HEIGHT - 8}
+            y2={HEIGHT - 8}
+            className="stroke-white"
+            strokeWidth={2}
+          />
+          <text
+            x={WIDTH - 10 - scalePx}
+            y={HEIGHT - 11}
+            className="fill-white text-[8px]"
+          >
+            {scaleMeters >= 1000
+              ? `${scaleMeters / 1000} km`
+              : `${scaleMeters} m`}
+          </text>
+        </svg>
+
+        <div className="absolute top-1 right-1 flex flex-col gap-1">
+          <button
+            onClick={() => setZoomOffset((z) => z + 1)}
+            className="w-6 h-6 rounded bg-gray-700 text-sm"
+          >
+            +
+          </button>
+          <button
+            onClick={() => setZoomOffset((z) => z - 1)}
+            className="w-6 h-6 rounded bg-gray-700 text-sm"
+          >
+            −
+          </button>
+          <button
+            onClick={() => setZoomOffset(0)}
+            className="w-6 h-6 rounded bg-gray-700 text-[10px]"
+          >
+            Fit
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 text-xs mt-1 text-gray-300">
+        <span>
+          <span className="text-red-500">●</span> CanSat
+        </span>
+        <span>
+          <span className="text-green-500">●</span> Launch
+        </span>
+        <span>
+          <span className="text-yellow-400">■</span> Ground station
+        </span>
+        {landingPrediction && (
+          <span>
+            <span className="text-orange-400">✕</span> Predicted landing
+          </span>
+        )}
+        {current && (
+          <span className="ml-auto text-white">
+            {current.lat.toFixed(6)}, {current.lon.toFixed(6)}
+          </span>
+        )}
+      </div>
+
+      <details className="text-xs mt-1">
+        <summary className="cursor-pointer text-gray-400">Map tiles</summary>
+        <input
+          type="text"
+          value={template}
+          onChange={(e) => updateTemplate(e.target.value)}
+          className="w-full mt-1 rounded text-white border-2 bg-gray-700 px-1"
+        />
+      </details>
+    </div>
+  );
+};
+
+export default GroundTrackMap;
@@ -0,0 +1,144 @@
+import React from "react";
+import { DEFAULT_TEAM_ID } from "../commands/commandCatalog";
+import AlertBanner from "./AlertBanner";
+import ProfilePicker from "./ProfilePicker";
+import ConnectionBar from "./ConnectionBar";
+import LinkSettings from "./LinkSettings";
+import ReplayControls from "./ReplayControls";
+import PacketFormatSettings from "./PacketFormatSettings";
+import CalibrationPanel from "./CalibrationPanel";
+import FilterSettings from "./FilterSettings";
+import NotesPanel from "./NotesPanel";
+import Workspace from "./Workspace";
+import ExportControls from "./ExportControls";
+import SessionBrowser from "./SessionBrowser";
+
+// -----------------------------------------------------------------------------
+// 🧩 Kit Console: one kit's link, logging, settings, widgets and flights
+// -----------------------------------------------------------------------------
+// `kit` comes from useKit. `settings` are extra panels shown with the kit's
+// own settings, e.g. the alert rules and schema on the workspace dashboard.
+const KitConsole = ({ kit, groundStation, settings = null }) => {
+  const { telemetry, linked, connection, fields, alerts, uplink } = kit;
+  const {
+    connected,
+    reconnecting,
+    transport,
+    source,
+    sensorData,
+    logData,
+    samples,
+    isLogging,
+    session,
+    linkStats,
+    landingPrediction,
+  } = telemetry;
+
+  return (
+    <>
+      {/* 🚨 Active Alerts */}
+      <AlertBanner
+        alerts={alerts.alerts}
+        onAcknowledge={alerts.acknowledge}
+        onAcknowledgeAll={alerts.acknowledgeAll}
+        onSnooze={alerts.snooze}
+        muted={alerts.muted}
+        onToggleMute={() => alerts.setMuted(!alerts.muted)}
+      />
+
+      {/* 🌐 Saved Profiles + Transport + IP Input + Connect Button */}
+      <ProfilePicker form={connection} linked={linked} />
+      <ConnectionBar form={connection} linked={linked} />
+      <LinkSettings form={connection} disabled={linked} />
+
+      {transport === "replay" && source && (
+        <ReplayControls source={source} samples={samples} />
+      )}
+
+      {/* 🧾 Logging */}
+      <div className="flex flex-wrap gap-1 mb-2 w-full max-w-md text-sm items-center">
+        <button
+          onClick={() => telemetry.startLogging()}
+          className="px-2 py-1 font-semibold rounded bg-green-600"
+        >
+          Start Logging
+        </button>
+        <button
+          onClick={telemetry.reset}
+          className="px-2 py-1 font-semibold rounded bg-blue-500"
+        >
+          Reset
+        </button>
+        {isLogging && (
+          <span className="text-green-400">
+            🟢 Logging{session && ` · ${session.name}`}
+          </span>
+        )}
+      </div>
+
+      {/* ⚙️ Settings */}
+      <PacketFormatSettings
+        format={connection.packetFormat}
+        onChange={connection.setPacketFormat}
+        disabled={linked}
+      />
+      {settings}
+      <CalibrationPanel
+        calibration={telemetry.calibration}
+        fields={fields}
+        sensorData={sensorData}
+        onChange={telemetry.setCalibration}
+        onZero={telemetry.calibrateGround}
+      />
+      <FilterSettings
+        filters={telemetry.filters}
+        fields={fields}
+        onChange={telemetry.setFilters}
+      />
+
+      {/* 📝 Operator Notes */}
+      <NotesPanel
+        notes={telemetry.notes}
+        onAdd={telemetry.addNote}
+        onUpdate={telemetry.updateNote}
+        onDelete={telemetry.deleteNote}
+      />
+
+      {/* 🧩 Widgets */}
+      <Workspace
+        sensorData={sensorData}
+        samples={samples}
+        notes={telemetry.notes}
+        logData={logData}
+        fields={fields}
+        linkStats={linkStats}
+        reconnecting={reconnecting}
+        groundStation={groundStation}
+        landingPrediction={landingPrediction}
+        commands={{
+          history: uplink.history,
+          onIssue: uplink.issue,
+          onClearHistory: uplink.clearHistory,
+          teamId: connection.packetFormat.teamId || DEFAULT_TEAM_ID,
+          disabled: !connected,
+        }}
+      />
+
+      {/* 📥 Download Button */}
+      <ExportControls
+        format={kit.exportFormat}
+        onFormatChange={kit.setExportFormat}
+        onDownload={() => kit.saveLog(logData, session)}
+      />
+
+      {/* 🗂️ Stored Flights */}
+      <SessionBrowser
+        activeSessionId={isLogging ? session?.id : null}
+        onOpen={kit.reviewSession}
+        onExport={kit.saveLog}
+      />
+    </>
+  );
+};
+
+export default KitConsole;
@@ -0,0 +1,34 @@
+import React from "react";
+import { bearing, haversineDistance } from "../utils/geo";
+
+// -----------------------------------------------------------------------------
+// 🎯 Landing Prediction: where the can should come down, updated per packet
+// -----------------------------------------------------------------------------
+const LandingPrediction = ({ prediction, groundStation }) => {
+  if (!prediction) return null;
+
+  return (
+    <div className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <div className="flex justify-between items-center">
+        <span className="text-orange-300 font-semibold">
+          Predicted Landing:
+        </span>
+        <span className="text-white">
+          {prediction.lat.toFixed(6)}, {prediction.lon.toFixed(6)}
+        </span>
+      </div>
+      <div className="flex justify-between text-xs text-gray-300 mt-1">
+        <span>± {prediction.radius.toFixed(0)} m</span>
+        <span>Touchdown in {prediction.secondsLeft.toFixed(0)} s</span>
+        {groundStation && (
+          <span>
+            {haversineDistance(groundStation, prediction).toFixed(0)} m at{" "}
+            {bearing(groundStation, prediction).toFixed(0)}° from you
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LandingPrediction;
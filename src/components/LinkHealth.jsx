@@ -0,0 +1,40 @@
+import React from "react";
+import { LINK_HEALTH } from "../telemetry/linkMonitor";
+
+const format = (value, digits, unit, scale = 1) =>
+  value === null ? "–" : `${(value * scale).toFixed(digits)}${unit}`;
+
+// -----------------------------------------------------------------------------
+// 📶 Link Health: live quality of the current connection
+// -----------------------------------------------------------------------------
+const LinkHealth = ({ stats }) => {
+  const health = LINK_HEALTH[stats.health];
+
+  return (
+    <div className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <div className="flex justify-between items-center">
+        <span className="text-cyan-300 font-semibold">Link:</span>
+        <span className="flex items-center gap-1">
+          <span
+            className={`inline-block w-3 h-3 rounded-full ${health.className}`}
+          />
+          {health.label}
+        </span>
+      </div>
+      {stats.health !== "idle" && (
+        <div className="grid grid-cols-3 gap-1 mt-1 text-xs text-gray-300">
+          <span>Rate: {format(stats.packetsPerSecond, 1, "/s")}</span>
+          <span>Latency: {format(stats.latencyMs, 0, " ms")}</span>
+          <span>Failures: {format(stats.failureRate, 0, "%", 100)}</span>
+          <span>
+            Last: {format(stats.sinceLastSampleMs, 1, " s ago", 0.001)}
+          </span>
+          <span>Missed: {stats.missedPackets}</span>
+          <span>Loss: {format(stats.lossRate, 1, "%", 100)}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LinkHealth;
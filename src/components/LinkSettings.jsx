@@ -0,0 +1,90 @@
+import React from "react";
+import { TRANSPORTS } from "../telemetry/transports";
+
+const inputClass = "rounded text-white border-2 bg-gray-700 px-1";
+const MIN_POLL_MS = 100;
+
+// -----------------------------------------------------------------------------
+// 🔧 Link Settings: port, polling rate and BLE identifiers
+// -----------------------------------------------------------------------------
+// The less common connection settings, kept out of the connection bar. Only
+// the ones the selected transport uses are shown.
+const LinkSettings = ({ form, disabled }) => {
+  const transport = TRANSPORTS[form.transportType];
+  if (!transport.needsIp && !transport.needsBle) return null;
+
+  const updateBle = (changes) => form.setBle({ ...form.ble, ...changes });
+
+  // Clamped on blur/Enter, so typing 250 doesn't snap to 100 at the "2"
+  const commitPollInterval = (e) => {
+    const ms = Number(e.target.value);
+    const next =
+      e.target.value !== "" && Number.isFinite(ms)
+        ? Math.max(Math.round(ms), MIN_POLL_MS)
+        : form.pollIntervalMs;
+    e.target.value = next;
+    form.setPollIntervalMs(next);
+  };
+
+  return (
+    <details className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <summary className="cursor-pointer text-cyan-200 font-semibold">
+        Link Settings
+      </summary>
+      <div className="flex flex-col gap-1 mt-1">
+        {transport.needsIp && (
+          <div className="flex gap-1">
+            <label className="flex flex-col w-1/2">
+              <span className="text-gray-300">Port</span>
+              <input
+                type="number"
+                min={1}
+                max={65535}
+                placeholder="Default"
+                value={form.port}
+                onChange={(e) => form.setPort(e.target.value)}
+                disabled={disabled}
+                className={inputClass}
+              />
+            </label>
+            {transport.polled && (
+              <label className="flex flex-col w-1/2">
+                <span className="text-gray-300">Poll every (ms)</span>
+                <input
+                  type="number"
+                  min={MIN_POLL_MS}
+                  step={100}
+                  key={form.pollIntervalMs}
+                  defaultValue={form.pollIntervalMs}
+                  onBlur={commitPollInterval}
+                  onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                  disabled={disabled}
+                  className={inputClass}
+                />
+              </label>
+            )}
+          </div>
+        )}
+        {transport.needsBle &&
+          Object.entries({
+            namePrefix: "Device name starts with",
+            serviceUUID: "Service UUID",
+            characteristicUUID: "Characteristic UUID",
+          }).map(([key, label]) => (
+            <label key={key} className="flex flex-col">
+              <span className="text-gray-300">{label}</span>
+              <input
+                type="text"
+                value={form.ble[key]}
+                onChange={(e) => updateBle({ [key]: e.target.value.trim() })}
+                disabled={disabled}
+                className={inputClass}
+              />
+            </label>
+          ))}
+      </div>
+    </details>
+  );
+};
+
+export default LinkSettings;
@@ -0,0 +1,49 @@
+import React from "react";
+import { formatValue } from "../telemetry/telemetrySchema";
+
+// -----------------------------------------------------------------------------
+// 📋 Log Table: the newest logged samples, one row each, newest on top
+// -----------------------------------------------------------------------------
+// `fields` picks and orders the columns (schema entries); units go in the
+// header so the cells stay narrow.
+const LogTable = ({ rows, fields, limit = 20 }) => {
+  const shown = rows.slice(-limit).reverse();
+
+  if (shown.length === 0) {
+    return (
+      <p className="text-gray-400 text-sm text-center">
+        Rows appear here once logging starts.
+      </p>
+    );
+  }
+
+  return (
+    <div className="w-full overflow-auto text-xs">
+      <table className="w-full text-left whitespace-nowrap">
+        <thead className="text-cyan-200 sticky top-0 bg-gray-800">
+          <tr>
+            {fields.map((entry) => (
+              <th key={entry.key} className="px-1">
+                {entry.label}
+                {entry.unit && ` (${entry.unit})`}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {shown.map((row, i) => (
+            <tr key={rows.length - i} className="odd:bg-gray-900">
+              {fields.map((entry) => (
+                <td key={entry.key} className="px-1">
+                  {formatValue({ ...entry, unit: "" }, row[entry.key])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default LogTable;
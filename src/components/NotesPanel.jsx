@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { describeNote, NOTE_PRESETS } from "../notes/notes";
+import useNoteHotkeys from "../notes/useNoteHotkeys";
+
+const inputClass = "rounded text-white border-2 bg-gray-700 px-1";
+
+// -----------------------------------------------------------------------------
+// 📝 Notes Panel: quick notes, preset markers and the notes taken so far
+// -----------------------------------------------------------------------------
+// New notes are stamped with the time and the latest sample by `onAdd`. The
+// preset hotkeys work anywhere on the page except while typing.
+const NotesPanel = ({ notes, onAdd, onUpdate, onDelete }) => {
+  const [text, setText] = useState(""); // Quick note being typed
+  const [editing, setEditing] = useState(null); // { id, text } being edited
+  useNoteHotkeys(onAdd);
+
+  const handleAdd = () => {
+    if (!text.trim()) return;
+    onAdd(text.trim());
+    setText("");
+  };
+
+  const handleSave = () => {
+    const trimmed = editing.text.trim();
+    if (trimmed) onUpdate(editing.id, { text: trimmed });
+    setEditing(null);
+  };
+
+  return (
+    <div className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <div className="flex gap-1">
+        <input
+          type="text"
+          placeholder="Quick note, e.g. lost sight behind trees"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleAdd()}
+          className={`flex-1 py-1 ${inputClass}`}
+        />
+        <button onClick={handleAdd} className="px-2 rounded bg-green-600">
+          📝 Note
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-1 mt-1 text-xs">
+        {NOTE_PRESETS.map((preset) => (
+          <button
+            key={preset.hotkey}
+            onClick={() => onAdd(preset.text)}
+            title={`Hotkey: ${preset.hotkey}`}
+            className="px-2 py-0.5 rounded bg-gray-700"
+          >
+            <kbd className="text-gray-400 mr-1">{preset.hotkey}</kbd>
+            {preset.text}
+          </button>
+        ))}
+      </div>
+
+      {notes.length > 0 && (
+        <ul className="mt-1 space-y-0.5 text-xs max-h-40 overflow-y-auto">
+          {notes.map((note) => (
+            <li key={note.id} className="flex gap-1 items-center">
+              <span className="text-gray-400">
+                {new Date(note.time).toLocaleTimeString()}
+              </span>
+              {editing?.id === note.id ? (
+                <input
+                  type="text"
+                  autoFocus
+                  value={editing.text}
+                  onChange={(e) =>
+                    setEditing({ ...editing, text: e.target.value })
+                  }
+                  onBlur={handleSave}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") handleSave();
+                    if (e.key === "Escape") setEditing(null);
+                  }}
+                  className={`flex-1 ${inputClass}`}
+                />
+              ) : (
+                <button
+                  onClick={() => setEditing({ id: note.id, text: note.text })}
+                  title="Edit note"
+                  className="flex-1 text-left text-white"
+                >
+                  {note.text}
+                  <span className="text-gray-400">
+                    {describeNote(note) && ` · ${describeNote(note)}`}
+                  </span>
+                </button>
+              )}
+              <button
+                onClick={() => onDelete(note.id)}
+                title="Delete note"
+                className="px-1 rounded bg-red-600"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default NotesPanel;
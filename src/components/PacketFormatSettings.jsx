@@ -0,0 +1,78 @@
+import React from "react";
+import { CHECKSUM_MODES } from "../telemetry/packetParser";
+
+// -----------------------------------------------------------------------------
+// ⚙️ Packet Format Settings: field order, delimiter, checksum, team filter
+// -----------------------------------------------------------------------------
+const PacketFormatSettings = ({ format, onChange, disabled }) => {
+  const update = (changes) => onChange({ ...format, ...changes });
+
+  return (
+    <details className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <summary className="cursor-pointer text-cyan-200 font-semibold">
+        Packet Format
+      </summary>
+      <div className="flex flex-col gap-1 mt-1">
+        <label className="flex flex-col">
+          <span className="text-gray-300">
+            Fields (in frame order, "?" marks optional trailing ones)
+          </span>
+          <textarea
+            value={format.fields.join(",")}
+            onChange={(e) =>
+              update({
+                fields: e.target.value
+                  .split(",")
+                  .map((field) => field.trim())
+                  .filter(Boolean),
+              })
+            }
+            disabled={disabled}
+            rows={2}
+            className="rounded text-white border-2 bg-gray-700 px-1"
+          />
+        </label>
+        <div className="flex gap-1">
+          <label className="flex flex-col w-1/3">
+            <span className="text-gray-300">Delimiter</span>
+            <input
+              type="text"
+              value={format.delimiter}
+              onChange={(e) => update({ delimiter: e.target.value || "," })}
+              disabled={disabled}
+              className="rounded text-white border-2 bg-gray-700 px-1"
+            />
+          </label>
+          <label className="flex flex-col w-1/3">
+            <span className="text-gray-300">Checksum</span>
+            <select
+              value={format.checksum}
+              onChange={(e) => update({ checksum: e.target.value })}
+              disabled={disabled}
+              className="rounded text-white border-2 bg-gray-700"
+            >
+              {Object.entries(CHECKSUM_MODES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col w-1/3">
+            <span className="text-gray-300">Team ID</span>
+            <input
+              type="text"
+              placeholder="any"
+              value={format.teamId}
+              onChange={(e) => update({ teamId: e.target.value })}
+              disabled={disabled}
+              className="rounded text-white border-2 bg-gray-700 px-1"
+            />
+          </label>
+        </div>
+      </div>
+    </details>
+  );
+};
+
+export default PacketFormatSettings;
@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import useProfiles from "../devices/useProfiles";
+import { describeProfile, settingsFromProfile } from "../devices/profiles";
+
+const inputClass = "rounded text-white border-2 bg-gray-700";
+
+// -----------------------------------------------------------------------------
+// 📇 Profile Picker: quick-pick saved device profiles, share them as JSON
+// -----------------------------------------------------------------------------
+// `form` comes from useConnectionForm. Picking a profile fills in its link
+// settings and team ID; `transportTypes` limits the list on dashboards that
+// only speak one transport.
+const ProfilePicker = ({ form, linked, transportTypes }) => {
+  const {
+    profiles,
+    saveProfile,
+    deleteProfile,
+    importProfiles,
+    exportProfiles,
+  } = useProfiles();
+  const [selectedId, setSelectedId] = useState(""); // Last profile applied
+  const [error, setError] = useState(null); // Last import failure
+  const shown = transportTypes
+    ? profiles.filter((profile) =>
+        transportTypes.includes(profile.transportType)
+      )
+    : profiles;
+  const selected = shown.find((profile) => profile.id === selectedId);
+
+  const handleSelect = (id) => {
+    const profile = shown.find((entry) => entry.id === id);
+    setSelectedId(id);
+    if (profile) form.applySettings(settingsFromProfile(profile, form));
+  };
+
+  const handleSave = () => {
+    const name = prompt("Name for this profile:", selected?.name ?? "");
+    if (!name?.trim()) return;
+    setSelectedId(saveProfile(name.trim(), form).id);
+  };
+
+  const handleDelete = () => {
+    if (!confirm(`Delete the "${selected.name}" profile?`)) return;
+    deleteProfile(selected.id);
+    setSelectedId("");
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Same file again should re-import it
+    if (!file) return;
+    setError(null);
+    try {
+      await importProfiles(file);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-md mb-2 text-sm">
+      <div className="flex flex-wrap gap-1 items-center">
+        <select
+          value={selected ? selectedId : ""}
+          onChange={(e) => handleSelect(e.target.value)}
+          disabled={linked}
+          className={`flex-1 py-1 ${inputClass}`}
+        >
+          <option value="" disabled>
+            {shown.length ? "Saved profiles..." : "No saved profiles"}
+          </option>
+          {shown.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name} · {describeProfile(profile)}
+            </option>
+          ))}
+        </select>
+        <button onClick={handleSave} className="px-2 py-1 rounded bg-blue-500">
+          Save as...
+        </button>
+        <button
+          onClick={handleDelete}
+          disabled={!selected}
+          className="px-2 py-1 rounded bg-red-600 disabled:opacity-50"
+        >
+          Delete
+        </button>
+        <button
+          onClick={exportProfiles}
+          disabled={profiles.length === 0}
+          title="Download all profiles as JSON"
+          className="px-2 py-1 rounded bg-gray-600 disabled:opacity-50"
+        >
+          Export
+        </button>
+        <label
+          title="Add profiles from a JSON file"
+          className="px-2 py-1 rounded bg-gray-600 cursor-pointer"
+        >
+          Import
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </label>
+      </div>
+      {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default ProfilePicker;
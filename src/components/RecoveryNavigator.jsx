@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from "react";
+import { bearing, haversineDistance, isValidFix, toFix } from "../utils/geo";
+import useDeviceHeading from "../utils/useDeviceHeading";
+
+const LAST_FIX_KEY = "cansat.lastFix";
+const STALE_FIX_MS = 10000; // Older than this: GPS packets have stopped
+const CARDINALS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+const toCardinal = (degrees) => CARDINALS[Math.round(degrees / 45) % 8];
+
+const formatDistance = (meters) =>
+  meters >= 1000
+    ? `${(meters / 1000).toFixed(2)} km`
+    : `${meters.toFixed(0)} m`;
+
+const formatAge = (ms) =>
+  ms >= 3600000
+    ? `${(ms / 3600000).toFixed(1)} h`
+    : ms >= 60000
+      ? `${(ms / 60000).toFixed(0)} min`
+      : `${(ms / 1000).toFixed(0)} s`;
+
+const loadLastFix = () => {
+  try {
+    return JSON.parse(localStorage.getItem(LAST_FIX_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 🧭 Recovery Navigator: distance and bearing from the operator to the can
+// -----------------------------------------------------------------------------
+// Uses the newest sample with a valid fix, and remembers it so a reload in
+// the field (offline, installed PWA) still knows where the can came down.
+const RecoveryNavigator = ({ samples, station, tracking, onTrack, onStop }) => {
+  const [storedFix, setStoredFix] = useState(loadLastFix);
+  const [now, setNow] = useState(Date.now());
+  const { heading, requestPermission } = useDeviceHeading(tracking);
+
+  const latest = samples.findLast(isValidFix);
+  const fix = latest ? toFix(latest) : storedFix;
+
+  useEffect(() => {
+    if (!latest) return;
+    const next = toFix(latest);
+    localStorage.setItem(LAST_FIX_KEY, JSON.stringify(next));
+    setStoredFix(next);
+  }, [latest]);
+
+  // Keep the fix age ticking while nothing new arrives
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const handleStart = async () => {
+    try {
+      onTrack();
+      await requestPermission();
+    } catch (err) {
+      console.error("Recovery mode error:", err);
+      alert("Could not follow your location. Enter it by hand instead.");
+    }
+  };
+
+  const distance = fix && station ? haversineDistance(station, fix) : null;
+  const direction = fix && station ? bearing(station, fix) : null;
+  const fixAge = fix ? now - Date.parse(fix.time) : null;
+  // With a compass the arrow points the real way; without it, north is up
+  const arrowAngle = direction === null ? 0 : direction - (heading ?? 0);
+
+  return (
+    <div className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <div className="flex justify-between items-center">
+        <span className="text-cyan-300 font-semibold">Recovery:</span>
+        <button
+          onClick={tracking ? onStop : handleStart}
+          className={`px-2 rounded ${tracking ? "bg-red-500" : "bg-green-600"}`}
+        >
+          {tracking ? "Stop Recovery" : "🧭 Start Recovery"}
+        </button>
+      </div>
+
+      {!fix && <p className="text-gray-400 mt-1">No GPS fix received yet.</p>}
+      {fix && !station && (
+        <p className="text-gray-400 mt-1">
+          Set the ground station position to get directions.
+        </p>
+      )}
+
+      {distance !== null && (
+        <div className="flex items-center gap-3 mt-1">
+          <svg viewBox="-20 -20 40 40" className="w-20 h-20 shrink-0">
+            <circle r="19" fill="none" stroke="#4b5563" strokeWidth="1" />
+            <polygon
+              points="0,-16 7,10 0,5 -7,10"
+              fill="#facc15"
+              transform={`rotate(${arrowAngle})`}
+            />
+            {heading === null && (
+              <text y="-13" textAnchor="middle" fontSize="6" fill="#9ca3af">
+                N
+              </text>
+            )}
+          </svg>
+          <div>
+            <p className="text-2xl font-bold">{formatDistance(distance)}</p>
+            <p>
+              {direction.toFixed(0)}° {toCardinal(direction)}
+              {heading === null && (
+                <span className="text-gray-400"> (north up)</span>
+              )}
+            </p>
+            {station.accuracy && (
+              <p className="text-gray-400 text-xs">
+                Your position ±{station.accuracy.toFixed(0)} m
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {fix && (
+        <p className="text-xs text-gray-300 mt-1">
+          CanSat: {fix.lat.toFixed(6)}, {fix.lon.toFixed(6)}
+          {Number.isFinite(fix.altitude) && ` · ${fix.altitude} m`}
+        </p>
+      )}
+      {fixAge > STALE_FIX_MS && (
+        <p className="text-xs text-yellow-400">
+          ⚠️ No GPS packets for {formatAge(fixAge)}, showing the last known fix
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RecoveryNavigator;
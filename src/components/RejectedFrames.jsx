@@ -0,0 +1,31 @@
+import React from "react";
+
+// -----------------------------------------------------------------------------
+// 🚫 Rejected Frames: packets the parser refused, newest first
+// -----------------------------------------------------------------------------
+const RejectedFrames = ({ frames, count }) => {
+  if (count === 0) return null;
+
+  return (
+    <details className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <summary className="cursor-pointer text-red-300 font-semibold">
+        Rejected Frames: {count}
+      </summary>
+      <ul className="mt-1 space-y-1 max-h-40 overflow-y-auto">
+        {frames.map(({ frame, reason, receivedAt }, i) => (
+          <li key={`${receivedAt}-${i}`} className="bg-gray-900 p-1 rounded">
+            <span className="text-red-300">{reason}</span>{" "}
+            <span className="text-gray-400">
+              {new Date(receivedAt).toLocaleTimeString()}
+            </span>
+            <div className="text-gray-300 break-all font-mono text-xs">
+              {frame}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default RejectedFrames;
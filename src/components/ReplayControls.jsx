@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from "react";
+import { REPLAY_SPEEDS } from "../telemetry/replaySource";
+
+// -----------------------------------------------------------------------------
+// ⏯️ Replay Controls: play/pause, seek and speed for a replay source
+// -----------------------------------------------------------------------------
+const ReplayControls = ({ source, samples }) => {
+  const [progress, setProgress] = useState(source.progress);
+
+  // The source reported its first progress while connecting, before we mounted
+  useEffect(() => {
+    setProgress(source.progress());
+    return source.on("progress", setProgress);
+  }, [source]);
+
+  const current = samples[samples.length - 1];
+
+  return (
+    <div className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <div className="flex gap-1 items-center">
+        <button
+          onClick={progress.playing ? source.pause : source.play}
+          className={`w-20 px-2 py-1 rounded font-semibold ${
+            progress.playing ? "bg-yellow-600" : "bg-green-600"
+          }`}
+        >
+          {progress.playing ? "Pause" : "Play"}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={progress.total}
+          value={progress.index}
+          onChange={(e) => source.seek(Number(e.target.value))}
+          className="flex-1"
+        />
+        <select
+          value={progress.speed}
+          onChange={(e) => source.setSpeed(Number(e.target.value))}
+          className="rounded text-white border-2 bg-gray-700 py-1"
+        >
+          {REPLAY_SPEEDS.map((speed) => (
+            <option key={speed} value={speed}>
+              {speed}×
+            </option>
+          ))}
+        </select>
+      </div>
+      <div className="flex justify-between text-xs text-gray-300 mt-1">
+        <span>
+          Sample {progress.index} / {progress.total}
+        </span>
+        <span>
+          {current?.dashboardTime
+            ? new Date(current.dashboardTime).toLocaleTimeString()
+            : "..."}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayControls;
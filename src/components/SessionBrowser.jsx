@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import {
+  listSessions,
+  renameSession,
+  deleteSession,
+  getSessionSamples,
+} from "../storage/flightDb";
+
+// -----------------------------------------------------------------------------
+// 🗂️ Session Browser: reopen, rename, delete or export stored flights
+// -----------------------------------------------------------------------------
+// A failed action, including `onOpen`, is shown under the list.
+const SessionBrowser = ({ activeSessionId, onOpen, onExport }) => {
+  const [sessions, setSessions] = useState([]);
+  const [editing, setEditing] = useState(null); // { id, name } being renamed
+  const [error, setError] = useState(null); // Last failed action
+
+  const run = async (what, action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error(`Could not ${what}:`, err);
+      setError(`Could not ${what}: ${err.message}`);
+    }
+  };
+
+  const refresh = async () => {
+    try {
+      setSessions(await listSessions());
+    } catch (err) {
+      console.error("Could not list flight sessions:", err);
+    }
+  };
+
+  const handleRename = () =>
+    run("rename the flight", async () => {
+      await renameSession(editing.id, editing.name.trim() || "Untitled flight");
+      setEditing(null);
+      refresh();
+    });
+
+  const handleDelete = (session) => {
+    if (!confirm(`Delete "${session.name}" and all its samples?`)) return;
+    run("delete the flight", async () => {
+      await deleteSession(session.id);
+      refresh();
+    });
+  };
+
+  const handleExport = (session) =>
+    run("export the flight", async () => {
+      const rows = await getSessionSamples(session.id);
+      if (rows.length === 0) {
+        alert("No data to save.");
+        return;
+      }
+      onExport(rows, session);
+    });
+
+  return (
+    <details
+      className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1"
+      onToggle={(e) => e.currentTarget.open && refresh()}
+    >
+      <summary className="cursor-pointer text-cyan-200 font-semibold">
+        Flight Sessions
+      </summary>
+      {sessions.length === 0 && (
+        <p className="text-gray-400 mt-1">No stored flights yet.</p>
+      )}
+      {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+      <ul className="mt-1 space-y-1 max-h-60 overflow-y-auto">
+        {sessions.map((session) => (
+          <li key={session.id} className="bg-gray-900 p-1 rounded">
+            {editing?.id === session.id ? (
+              <div className="flex gap-1">
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) =>
+                    setEditing({ ...editing, name: e.target.value })
+                  }
+                  onKeyDown={(e) => e.key === "Enter" && handleRename()}
+                  className="flex-1 rounded text-white border-2 bg-gray-700 px-1"
+                />
+                <button
+                  onClick={handleRename}
+                  className="px-1 rounded bg-green-600"
+                >
+                  Save
+                </button>
+              </div>
+            ) : (
+              <div className="flex justify-between">
+                <span className="font-semibold">{session.name}</span>
+                <span
+                  className={
+                    session.status === "active"
+                      ? "text-green-400"
+                      : "text-gray-400"
+                  }
+                >
+                  {session.id === activeSessionId
+                    ? "🟢 logging"
+                    : session.status === "active"
+                      ? "interrupted"
+                      : `${session.sampleCount} samples`}
+                </span>
+              </div>
+            )}
+            <div className="text-xs text-gray-400">
+              {new Date(session.createdAt).toLocaleString()}
+            </div>
+            <div className="flex gap-1 mt-1 text-xs">
+              <button
+                onClick={() => run("open the flight", () => onOpen(session))}
+                disabled={session.id === activeSessionId}
+                className="px-1 rounded bg-blue-500 disabled:opacity-50"
+              >
+                Open
+              </button>
+              <button
+                onClick={() =>
+                  setEditing({ id: session.id, name: session.name })
+                }
+                className="px-1 rounded bg-gray-600"
+              >
+                Rename
+              </button>
+              <button
+                onClick={() => handleExport(session)}
+                className="px-1 rounded bg-blue-700"
+              >
+                Export
+              </button>
+              <button
+                onClick={() => handleDelete(session)}
+                disabled={session.id === activeSessionId}
+                className="px-1 rounded bg-red-600 disabled:opacity-50"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
+
+export default SessionBrowser;
@@ -0,0 +1,192 @@
+import React, { useRef, useState } from "react";
+
+const WIDTH = 320;
+const HEIGHT = 110;
+const PAD_LEFT = 38;
+const PAD_RIGHT = 6;
+const PAD_Y = 10;
+const MAX_POINTS = 400; // Decimate long windows so the SVG stays light
+const MIN_ZOOM_PX = 6; // Drags shorter than this are treated as clicks
+
+const formatTime = (t) => new Date(t).toLocaleTimeString();
+
+const decimate = (points) => {
+  if (points.length <= MAX_POINTS) return points;
+  const stride = Math.ceil(points.length / MAX_POINTS);
+  return points.filter((_, i) => i % stride === 0 || i === points.length - 1);
+};
+
+const nearestPoint = (points, t) =>
+  points.reduce(
+    (best, point) =>
+      !best || Math.abs(point.t - t) < Math.abs(best.t - t) ? point : best,
+    null
+  );
+
+// -----------------------------------------------------------------------------
+// 📈 Telemetry Chart: one channel as an SVG line over a shared time range
+// -----------------------------------------------------------------------------
+// `points` are { t, v } with t in epoch ms; `unfilteredPoints`, if given, are
+// drawn faintly behind them. `markers` ({ t, label }) are dashed vertical lines,
+// e.g. operator notes. The cursor and zoom are owned by the parent so every
+// chart moves together.
+const TelemetryChart = ({
+  points,
+  unfilteredPoints,
+  markers = [],
+  label,
+  unit,
+  range,
+  cursorTime,
+  onCursor,
+  onZoom,
+}) => {
+  const svgRef = useRef(null);
+  const [dragStart, setDragStart] = useState(null); // Time where a drag began
+  const [t0, t1] = range;
+  const span = Math.max(t1 - t0, 1);
+
+  const inRange = (series) =>
+    decimate(
+      series.filter(({ t, v }) => t >= t0 && t <= t1 && Number.isFinite(v))
+    );
+  const visible = inRange(points);
+  const visibleUnfiltered = unfilteredPoints ? inRange(unfilteredPoints) : [];
+  const values = [...visible, ...visibleUnfiltered].map(({ v }) => v);
+  let yMin = Math.min(...values);
+  let yMax = Math.max(...values);
+  if (yMin === yMax) {
+    yMin -= 1;
+    yMax += 1;
+  }
+
+  const x = (t) =>
+    PAD_LEFT + ((t - t0) / span) * (WIDTH - PAD_LEFT - PAD_RIGHT);
+  const y = (v) =>
+    HEIGHT - PAD_Y - ((v - yMin) / (yMax - yMin)) * (HEIGHT - 2 * PAD_Y);
+
+  // Mouse x → time, through the viewBox scaling
+  const timeAt = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const px = ((event.clientX - rect.left) / rect.width) * WIDTH;
+    const ratio = (px - PAD_LEFT) / (WIDTH - PAD_LEFT - PAD_RIGHT);
+    return t0 + Math.min(Math.max(ratio, 0), 1) * span;
+  };
+
+  const handleMouseUp = (event) => {
+    if (dragStart === null) return;
+    const dragEnd = timeAt(event);
+    setDragStart(null);
+    if (Math.abs(x(dragEnd) - x(dragStart)) < MIN_ZOOM_PX) return;
+    onZoom([Math.min(dragStart, dragEnd), Math.max(dragStart, dragEnd)]);
+  };
+
+  const pathOf = (series) =>
+    series
+      .map(({ t, v }, i) => `${i === 0 ? "M" : "L"}${x(t)},${y(v)}`)
+      .join(" ");
+  const visibleMarkers = markers.filter(({ t }) => t >= t0 && t <= t1);
+  const cursorPoint =
+    cursorTime !== null ? nearestPoint(visible, cursorTime) : null;
+  const latest = visible[visible.length - 1];
+
+  return (
+    <div className="bg-gray-800 rounded p-1">
+      <div className="flex justify-between text-xs mb-1">
+        <span className="text-cyan-200 font-semibold">{label}</span>
+        <span className="text-white">
+          {cursorPoint
+            ? `${cursorPoint.v} ${unit} @ ${formatTime(cursorPoint.t)}`
+            : latest
+              ? `${latest.v} ${unit}`
+              : "..."}
+        </span>
+      </div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full select-none"
+        onMouseMove={(e) => onCursor(timeAt(e))}
+        onMouseLeave={() => {
+          onCursor(null);
+          setDragStart(null);
+        }}
+        onMouseDown={(e) => setDragStart(timeAt(e))}
+        onMouseUp={handleMouseUp}
+      >
+        <rect
+          x={PAD_LEFT}
+          y={PAD_Y}
+          width={WIDTH - PAD_LEFT - PAD_RIGHT}
+          height={HEIGHT - 2 * PAD_Y}
+          className="fill-gray-900"
+        />
+        {visible.length > 0 && (
+          <>
+            <text x={2} y={PAD_Y + 4} className="fill-gray-400 text-[9px]">
+              {+yMax.toFixed(2)}
+            </text>
+            <text x={2} y={HEIGHT - PAD_Y} className="fill-gray-400 text-[9px]">
+              {+yMin.toFixed(2)}
+            </text>
+            {visibleUnfiltered.length > 0 && (
+              <path
+                d={pathOf(visibleUnfiltered)}
+                fill="none"
+                strokeWidth={1}
+                className="stroke-gray-500"
+              />
+            )}
+            <path
+              d={pathOf(visible)}
+              fill="none"
+              strokeWidth={1.5}
+              className="stroke-cyan-400"
+            />
+          </>
+        )}
+        {visibleMarkers.map((marker, i) => (
+          <line
+            key={i}
+            x1={x(marker.t)}
+            x2={x(marker.t)}
+            y1={PAD_Y}
+            y2={HEIGHT - PAD_Y}
+            strokeDasharray="3 2"
+            className="stroke-orange-400"
+          >
+            <title>{marker.label}</title>
+          </line>
+        ))}
+        {dragStart !== null && cursorTime !== null && (
+          <rect
+            x={Math.min(x(dragStart), x(cursorTime))}
+            y={PAD_Y}
+            width={Math.abs(x(cursorTime) - x(dragStart))}
+            height={HEIGHT - 2 * PAD_Y}
+            className="fill-blue-500/30"
+          />
+        )}
+        {cursorPoint && (
+          <>
+            <line
+              x1={x(cursorPoint.t)}
+              x2={x(cursorPoint.t)}
+              y1={PAD_Y}
+              y2={HEIGHT - PAD_Y}
+              className="stroke-yellow-300"
+            />
+            <circle
+              cx={x(cursorPoint.t)}
+              cy={y(cursorPoint.v)}
+              r={2.5}
+              className="fill-yellow-300"
+            />
+          </>
+        )}
+      </svg>
+    </div>
+  );
+};
+
+export default TelemetryChart;
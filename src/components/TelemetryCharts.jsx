@@ -0,0 +1,137 @@
+import React, { useState } from "react";
+import TelemetryChart from "./TelemetryChart";
+import { DEFAULT_SCHEMA, isMissing } from "../telemetry/telemetrySchema";
+import { unfilteredKey } from "../analysis/filters";
+
+const CHART_CHANNELS = DEFAULT_SCHEMA.filter((entry) => entry.chart);
+
+const TIME_WINDOWS = {
+  "30s": { label: "30 s", ms: 30 * 1000 },
+  "2m": { label: "2 min", ms: 2 * 60 * 1000 },
+  flight: { label: "Whole flight", ms: null },
+};
+
+// Samples carry ISO timestamps and may hold numbers as strings; missing
+// values become NaN, which the chart skips instead of plotting as zero
+const toPoints = (samples, key) =>
+  samples.map((sample) => ({
+    t: Date.parse(sample.dashboardTime),
+    v: isMissing(sample[key]) ? NaN : Number(sample[key]),
+  }));
+
+// -----------------------------------------------------------------------------
+// 📊 Telemetry Charts: scrolling charts for every channel, shared controls
+// -----------------------------------------------------------------------------
+// Operator `notes` are marked on every chart at the time they were written.
+const TelemetryCharts = ({
+  samples,
+  channels = CHART_CHANNELS,
+  notes = [],
+}) => {
+  const [windowKey, setWindowKey] = useState("2m"); // Selected time window
+  const [frozen, setFrozen] = useState(null); // Samples snapshot while paused
+  const [zoomRange, setZoomRange] = useState(null); // [t0, t1] after a drag
+  const [cursorTime, setCursorTime] = useState(null); // Shared hover time
+  const [showUnfiltered, setShowUnfiltered] = useState(false); // Behind filtered
+
+  const shown = frozen ?? samples;
+  const firstTime = shown.length ? Date.parse(shown[0].dashboardTime) : 0;
+  const lastTime = shown.length
+    ? Date.parse(shown[shown.length - 1].dashboardTime)
+    : 0;
+  const windowMs = TIME_WINDOWS[windowKey].ms;
+  const range = zoomRange ?? [
+    windowMs === null ? firstTime : lastTime - windowMs,
+    lastTime,
+  ];
+
+  const togglePause = () => setFrozen(frozen ? null : samples);
+
+  // The unfiltered series of a channel, when it has a filter
+  const unfilteredPoints = (key) => {
+    const companion = unfilteredKey(key);
+    if (!showUnfiltered || !shown.some((sample) => companion in sample)) {
+      return null;
+    }
+    return toPoints(shown, companion);
+  };
+
+  const markers = notes.map((note) => ({
+    t: Date.parse(note.time),
+    label: note.text,
+  }));
+
+  const selectWindow = (key) => {
+    setWindowKey(key);
+    setZoomRange(null);
+  };
+
+  // Zooming only makes sense on a still picture
+  const handleZoom = (nextRange) => {
+    if (!frozen) setFrozen(samples);
+    setZoomRange(nextRange);
+  };
+
+  return (
+    <div className="w-full max-w-md mb-2">
+      <div className="flex gap-1 mb-1 text-xs items-center">
+        {Object.entries(TIME_WINDOWS).map(([key, { label }]) => (
+          <button
+            key={key}
+            onClick={() => selectWindow(key)}
+            className={`px-2 py-1 rounded ${
+              windowKey === key && !zoomRange ? "bg-blue-500" : "bg-gray-700"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        <button
+          onClick={togglePause}
+          className={`px-2 py-1 rounded ${frozen ? "bg-yellow-600" : "bg-gray-700"}`}
+        >
+          {frozen ? "Resume" : "Pause"}
+        </button>
+        <button
+          onClick={() => setShowUnfiltered(!showUnfiltered)}
+          title="Draw the unfiltered readings behind filtered channels"
+          className={`px-2 py-1 rounded ${showUnfiltered ? "bg-blue-500" : "bg-gray-700"}`}
+        >
+          Unfiltered
+        </button>
+        {zoomRange && (
+          <button
+            onClick={() => setZoomRange(null)}
+            className="px-2 py-1 rounded bg-gray-700"
+          >
+            Reset Zoom
+          </button>
+        )}
+      </div>
+      {shown.length === 0 ? (
+        <p className="text-gray-400 text-sm text-center">
+          Charts start with the first sample.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+          {channels.map(({ key, label, unit }) => (
+            <TelemetryChart
+              key={key}
+              points={toPoints(shown, key)}
+              unfilteredPoints={unfilteredPoints(key)}
+              markers={markers}
+              label={label}
+              unit={unit}
+              range={range}
+              cursorTime={cursorTime}
+              onCursor={setCursorTime}
+              onZoom={handleZoom}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TelemetryCharts;
@@ -0,0 +1,35 @@
+import React from "react";
+import { formatValue, isOutOfRange } from "../telemetry/telemetrySchema";
+
+// -----------------------------------------------------------------------------
+// 📊 Telemetry Readout: latest value of every field in one schema group
+// -----------------------------------------------------------------------------
+// Values outside the field's expected range are shown in red.
+const TelemetryReadout = ({ fields, sensorData, columns = 2 }) => (
+  <div
+    className={`grid ${columns === 1 ? "grid-cols-1" : "grid-cols-2"} gap-1 mb-2 w-full max-w-md`}
+  >
+    {fields.map((entry) => {
+      const value = sensorData[entry.key];
+      const outOfRange = isOutOfRange(entry, value);
+      return (
+        <div
+          key={entry.key}
+          title={
+            outOfRange
+              ? `Expected ${entry.min ?? "…"} to ${entry.max ?? "…"}`
+              : undefined
+          }
+          className="bg-gray-800 p-1 rounded text-sm"
+        >
+          <span className="text-cyan-200 font-semibold">{entry.label}:</span>{" "}
+          <span className={outOfRange ? "text-red-400" : "text-white"}>
+            {formatValue(entry, value)}
+          </span>
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default TelemetryReadout;
@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+
+// -----------------------------------------------------------------------------
+// 🧾 Telemetry Schema Settings: load field definitions from a file or device
+// -----------------------------------------------------------------------------
+const TelemetrySchemaSettings = ({
+  schema,
+  source,
+  onLoadFile,
+  onFetch,
+  onReset,
+  deviceIp,
+}) => {
+  const [error, setError] = useState(null); // Last load failure
+  const [busy, setBusy] = useState(false); // Waiting on the device
+
+  const run = async (load) => {
+    setError(null);
+    setBusy(true);
+    try {
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Same file again should reload it
+    if (file) run(() => onLoadFile(file));
+  };
+
+  return (
+    <details className="w-full max-w-md mb-2 text-sm bg-gray-800 rounded p-1">
+      <summary className="cursor-pointer text-cyan-200 font-semibold">
+        Telemetry Fields ({source ?? "default"})
+      </summary>
+      <div className="flex flex-wrap gap-1 mt-1 items-center text-xs">
+        <input
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFile}
+          disabled={busy}
+          className="w-[55%] rounded text-white border-2 bg-gray-700 py-1"
+        />
+        {onFetch && (
+          <button
+            onClick={() => run(() => onFetch(deviceIp))}
+            disabled={busy || !deviceIp}
+            title="Fetch http://<ip>/schema from the kit"
+            className="px-2 py-1 rounded bg-blue-500 disabled:opacity-50"
+          >
+            {busy ? "Fetching..." : "From device"}
+          </button>
+        )}
+        <button
+          onClick={() => {
+            setError(null);
+            onReset();
+          }}
+          disabled={source === null}
+          className="px-2 py-1 rounded bg-gray-600 disabled:opacity-50"
+        >
+          Default
+        </button>
+      </div>
+      {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+
+      <table className="w-full mt-1 text-xs text-left">
+        <thead className="text-gray-400">
+          <tr>
+            <th>Key</th>
+            <th>Label</th>
+            <th>Unit</th>
+            <th>Range</th>
+            <th>Group</th>
+          </tr>
+        </thead>
+        <tbody>
+          {schema
+            .filter((entry) => entry.group !== "system")
+            .map((entry) => (
+              <tr key={entry.key}>
+                <td className="font-mono">{entry.key}</td>
+                <td>{entry.label}</td>
+                <td>{entry.unit}</td>
+                <td>
+                  {entry.min ?? ""}
+                  {entry.min !== null || entry.max !== null ? "…" : ""}
+                  {entry.max ?? ""}
+                </td>
+                <td>
+                  {entry.group}
+                  {entry.chart && " 📈"}
+                </td>
+              </tr>
+            ))}
+        </tbody>
+      </table>
+    </details>
+  );
+};
+
+export default TelemetrySchemaSettings;
@@ -0,0 +1,124 @@
+import React from "react";
+import { GRID_COLUMNS, MAX_HEIGHT } from "../workspace/layouts";
+
+// Tailwind needs the full class names in the source
+const COL_SPAN = {
+  1: "",
+  2: "sm:col-span-2",
+  3: "sm:col-span-2 lg:col-span-3",
+  4: "sm:col-span-2 lg:col-span-4",
+};
+const ROW_SPAN = {
+  1: "row-span-1",
+  2: "row-span-2",
+  3: "row-span-3",
+  4: "row-span-4",
+};
+
+const controlClass = "px-1 rounded bg-gray-700 disabled:opacity-40";
+
+// -----------------------------------------------------------------------------
+// 🧩 Widget Frame: title bar and, while editing, move/resize/remove controls
+// -----------------------------------------------------------------------------
+// In edit mode the frame can also be dragged onto another widget to take its
+// place; the arrow buttons do the same on touch screens.
+const WidgetFrame = ({
+  widget,
+  title,
+  editing,
+  index,
+  count,
+  onMove,
+  onResize,
+  onRemove,
+  onDropWidget,
+  settings,
+  children,
+}) => {
+  const { w, h } = widget;
+
+  return (
+    <div
+      draggable={editing}
+      onDragStart={(e) => e.dataTransfer.setData("text/plain", widget.id)}
+      onDragOver={(e) => editing && e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault();
+        const id = e.dataTransfer.getData("text/plain");
+        if (id && id !== widget.id) onDropWidget(id, index);
+      }}
+      className={`${COL_SPAN[w]} ${ROW_SPAN[h]} flex flex-col min-h-0 bg-gray-800 rounded p-1 ${
+        editing ? "ring-1 ring-blue-400 cursor-move" : ""
+      }`}
+    >
+      <div className="flex items-center gap-1 text-xs mb-1">
+        <span className="text-cyan-300 font-semibold flex-1 truncate">
+          {title}
+        </span>
+        {editing && (
+          <>
+            <button
+              onClick={() => onMove(index - 1)}
+              disabled={index === 0}
+              title="Move earlier"
+              className={controlClass}
+            >
+              ◀
+            </button>
+            <button
+              onClick={() => onMove(index + 1)}
+              disabled={index === count - 1}
+              title="Move later"
+              className={controlClass}
+            >
+              ▶
+            </button>
+            <button
+              onClick={() => onResize({ w: w - 1 })}
+              disabled={w <= 1}
+              title="Narrower"
+              className={controlClass}
+            >
+              ⇤
+            </button>
+            <button
+              onClick={() => onResize({ w: w + 1 })}
+              disabled={w >= GRID_COLUMNS}
+              title="Wider"
+              className={controlClass}
+            >
+              ⇥
+            </button>
+            <button
+              onClick={() => onResize({ h: h - 1 })}
+              disabled={h <= 1}
+              title="Shorter"
+              className={controlClass}
+            >
+              ⤒
+            </button>
+            <button
+              onClick={() => onResize({ h: h + 1 })}
+              disabled={h >= MAX_HEIGHT}
+              title="Taller"
+              className={controlClass}
+            >
+              ⤓
+            </button>
+            <button
+              onClick={onRemove}
+              title="Remove widget"
+              className="px-1 rounded bg-red-600"
+            >
+              ✕
+            </button>
+          </>
+        )}
+      </div>
+      {editing && settings}
+      <div className="flex-1 min-h-0 overflow-auto">{children}</div>
+    </div>
+  );
+};
+
+export default WidgetFrame;
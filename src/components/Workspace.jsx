@@ -0,0 +1,308 @@
+import React, { useState } from "react";
+import WidgetFrame from "./WidgetFrame";
+import TelemetryCharts from "./TelemetryCharts";
+import TelemetryReadout from "./TelemetryReadout";
+import GroundTrackMap from "./GroundTrackMap";
+import CommandPanel from "./CommandPanel";
+import LinkHealth from "./LinkHealth";
+import LogTable from "./LogTable";
+import useLayouts from "../workspace/useLayouts";
+import {
+  WIDGET_TYPES,
+  addWidget,
+  moveWidget,
+  removeWidget,
+  resizeWidget,
+  updateWidget,
+} from "../workspace/layouts";
+import {
+  findField,
+  formatValue,
+  isOutOfRange,
+} from "../telemetry/telemetrySchema";
+
+const inputClass = "rounded text-white border-2 bg-gray-700 px-1";
+
+// Fields worth picking for a tile, chart or log column
+const pickable = (fields) => fields.filter((entry) => entry.group !== "system");
+
+const widgetTitle = (widget, fields) => {
+  if (widget.type === "tile") {
+    return (
+      findField(fields, widget.options.field)?.label ?? widget.options.field
+    );
+  }
+  return WIDGET_TYPES[widget.type]?.label ?? widget.type;
+};
+
+// -----------------------------------------------------------------------------
+// 🖼️ Widget bodies
+// -----------------------------------------------------------------------------
+// `data` is the props the workspace was given; each widget takes what it needs.
+const renderWidget = (widget, data) => {
+  const { sensorData, fields } = data;
+
+  switch (widget.type) {
+    case "tile": {
+      const entry = findField(fields, widget.options.field);
+      const value = sensorData[widget.options.field];
+      if (!entry) return <p className="text-gray-400 text-sm">No such field</p>;
+      return (
+        <p
+          className={`text-3xl font-bold text-center mt-2 ${
+            isOutOfRange(entry, value) ? "text-red-400" : "text-white"
+          }`}
+        >
+          {formatValue(entry, value)}
+        </p>
+      );
+    }
+
+    case "chart":
+      return (
+        <TelemetryCharts
+          samples={data.samples}
+          notes={data.notes}
+          channels={widget.options.fields
+            .map((key) => findField(fields, key))
+            .filter(Boolean)}
+        />
+      );
+
+    case "gps":
+      return (
+        <>
+          <GroundTrackMap
+            samples={data.samples}
+            groundStation={data.groundStation}
+            landingPrediction={data.landingPrediction}
+          />
+          <TelemetryReadout
+            fields={fields.filter((entry) => entry.group === "gps")}
+            sensorData={sensorData}
+            columns={1}
+          />
+        </>
+      );
+
+    case "commands":
+      return <CommandPanel {...data.commands} />;
+
+    case "log":
+      return (
+        <LogTable
+          rows={data.logData}
+          fields={pickable(fields)}
+          limit={widget.options.rows}
+        />
+      );
+
+    case "link":
+      return (
+        <>
+          <LinkHealth stats={data.linkStats} />
+          {data.reconnecting && (
+            <p className="text-yellow-400 text-sm">
+              🔁 Link lost, reconnecting (attempt {data.reconnecting.attempt}
+              )...
+            </p>
+          )}
+        </>
+      );
+
+    default:
+      return null;
+  }
+};
+
+// Per-type options, shown above the body while editing
+const renderSettings = (widget, fields, onOptions) => {
+  const { options } = widget;
+
+  switch (widget.type) {
+    case "tile":
+      return (
+        <select
+          value={options.field}
+          onChange={(e) => onOptions({ field: e.target.value })}
+          className={`w-full text-xs mb-1 ${inputClass}`}
+        >
+          {pickable(fields).map((entry) => (
+            <option key={entry.key} value={entry.key}>
+              {entry.label}
+            </option>
+          ))}
+        </select>
+      );
+
+    case "chart": {
+      const toggle = (key) =>
+        onOptions({
+          fields: options.fields.includes(key)
+            ? options.fields.filter((field) => field !== key)
+            : [...options.fields, key],
+        });
+      return (
+        <div className="flex flex-wrap gap-x-2 text-xs mb-1">
+          {pickable(fields).map((entry) => (
+            <label key={entry.key} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={options.fields.includes(entry.key)}
+                onChange={() => toggle(entry.key)}
+              />
+              {entry.label}
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    case "log":
+      return (
+        <label className="text-xs mb-1">
+          Rows{" "}
+          <input
+            type="number"
+            min={1}
+            max={500}
+            value={options.rows}
+            onChange={(e) =>
+              onOptions({ rows: Math.max(1, Number(e.target.value) || 1) })
+            }
+            className={`w-16 ${inputClass}`}
+          />
+        </label>
+      );
+
+    default:
+      return null;
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 🧩 Workspace: the selected layout's widgets, plus the layout toolbar
+// -----------------------------------------------------------------------------
+const Workspace = (props) => {
+  const {
+    layouts,
+    layout,
+    selectLayout,
+    setWidgets,
+    saveLayoutAs,
+    deleteLayout,
+    resetLayouts,
+  } = useLayouts();
+  const [editing, setEditing] = useState(false); // Showing widget controls
+  const { widgets } = layout;
+
+  const handleSaveAs = () => {
+    const name = prompt("Name for this layout:", `${layout.name} copy`);
+    if (name?.trim()) saveLayoutAs(name.trim());
+  };
+
+  const handleDelete = () => {
+    if (confirm(`Delete the "${layout.name}" layout?`)) deleteLayout(layout.id);
+  };
+
+  const handleReset = () => {
+    if (confirm("Replace all layouts with the built-in ones?")) resetLayouts();
+  };
+
+  return (
+    <div className="w-full">
+      <div className="flex flex-wrap gap-1 mb-2 text-sm items-center">
+        <select
+          value={layout.id}
+          onChange={(e) => selectLayout(e.target.value)}
+          className={`py-1 ${inputClass}`}
+        >
+          {layouts.map((entry) => (
+            <option key={entry.id} value={entry.id}>
+              {entry.name}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={handleSaveAs}
+          className="px-2 py-1 rounded bg-blue-500"
+        >
+          Save as...
+        </button>
+        <button
+          onClick={() => setEditing(!editing)}
+          className={`px-2 py-1 rounded ${editing ? "bg-yellow-600" : "bg-gray-700"}`}
+        >
+          {editing ? "Done" : "Edit"}
+        </button>
+        {editing && (
+          <>
+            <select
+              value=""
+              onChange={(e) => setWidgets(addWidget(widgets, e.target.value))}
+              className={`py-1 ${inputClass}`}
+            >
+              <option value="" disabled>
+                + Add widget
+              </option>
+              {Object.entries(WIDGET_TYPES).map(([type, { label }]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleDelete}
+              disabled={layouts.length === 1}
+              className="px-2 py-1 rounded bg-red-600 disabled:opacity-50"
+            >
+              Delete layout
+            </button>
+            <button
+              onClick={handleReset}
+              className="px-2 py-1 rounded bg-gray-600"
+            >
+              Reset all
+            </button>
+          </>
+        )}
+      </div>
+
+      {widgets.length === 0 ? (
+        <p className="text-gray-400 text-sm text-center">
+          This layout is empty. Press Edit to add widgets.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 auto-rows-[10rem] gap-2">
+          {widgets.map((widget, index) => (
+            <WidgetFrame
+              key={widget.id}
+              widget={widget}
+              title={widgetTitle(widget, props.fields)}
+              editing={editing}
+              index={index}
+              count={widgets.length}
+              onMove={(to) => setWidgets(moveWidget(widgets, widget.id, to))}
+              onResize={(size) =>
+                setWidgets(resizeWidget(widgets, widget.id, size))
+              }
+              onRemove={() => setWidgets(removeWidget(widgets, widget.id))}
+              onDropWidget={(id, to) => setWidgets(moveWidget(widgets, id, to))}
+              settings={renderSettings(widget, props.fields, (changes) =>
+                setWidgets(
+                  updateWidget(widgets, widget.id, {
+                    options: { ...widget.options, ...changes },
+                  })
+                )
+              )}
+            >
+              {renderWidget(widget, props)}
+            </WidgetFrame>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Workspace;
@@ -0,0 +1,38 @@
+import { DEFAULT_LINK_SETTINGS } from "../telemetry/useConnectionForm";
+
+// -----------------------------------------------------------------------------
+// 🛰️ Devices: the kits watched together on the fleet dashboard
+// -----------------------------------------------------------------------------
+// A device is plain data so the list can be kept in localStorage:
+//   { id, name, color, link }
+// `link` holds the useConnectionForm settings (transport, IP, baud rate,
+// packet format, simulator faults) so every kit reconnects the way it was set.
+
+// Distinct on the dark background and for the common colour blindnesses
+export const DEVICE_COLORS = [
+  { key: "sky", label: "Blue", hex: "#38bdf8" },
+  { key: "orange", label: "Orange", hex: "#fb923c" },
+  { key: "lime", label: "Green", hex: "#a3e635" },
+  { key: "pink", label: "Pink", hex: "#f472b6" },
+  { key: "yellow", label: "Yellow", hex: "#facc15" },
+  { key: "violet", label: "Violet", hex: "#a78bfa" },
+];
+
+export const deviceColor = (device) => {
+  const color = DEVICE_COLORS.find((entry) => entry.key === device.color);
+  return (color ?? DEVICE_COLORS[0]).hex;
+};
+
+// Next "Kit N" name and the first colour nobody uses yet
+export const newDevice = (devices) => {
+  const used = new Set(devices.map((device) => device.color));
+  const color =
+    DEVICE_COLORS.find((entry) => !used.has(entry.key)) ??
+    DEVICE_COLORS[devices.length % DEVICE_COLORS.length];
+  return {
+    id: `kit-${Date.now().toString(36)}-${devices.length}`,
+    name: `Kit ${devices.length + 1}`,
+    color: color.key,
+    link: DEFAULT_LINK_SETTINGS,
+  };
+};
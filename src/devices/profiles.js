@@ -0,0 +1,109 @@
+import { TRANSPORTS } from "../telemetry/transports";
+import { DEFAULT_LINK_SETTINGS } from "../telemetry/useConnectionForm";
+
+// -----------------------------------------------------------------------------
+// 📇 Device profiles: named connection settings the whole team can share
+// -----------------------------------------------------------------------------
+// A profile keeps just what identifies a kit and how to reach it:
+//   { id, name, transportType, ip, port, ble, teamId, pollIntervalMs }
+// Applying one to the connection form leaves everything else (baud rate,
+// packet layout, simulator faults) as it was. Exported files are
+//   { "app": "cansat-gcs", "version": 1, "profiles": [...] }
+
+const FILE_APP = "cansat-gcs";
+const FILE_VERSION = 1;
+
+export const profileFromSettings = (name, settings) => ({
+  id: `profile-${Date.now().toString(36)}`,
+  name,
+  transportType: settings.transportType,
+  ip: settings.ip,
+  port: settings.port,
+  ble: settings.ble,
+  teamId: settings.packetFormat.teamId,
+  pollIntervalMs: settings.pollIntervalMs,
+});
+
+// `changes` for useConnectionForm's applySettings
+export const settingsFromProfile = (profile, settings) => ({
+  transportType: profile.transportType,
+  ip: profile.ip,
+  port: profile.port,
+  ble: profile.ble,
+  pollIntervalMs: profile.pollIntervalMs,
+  packetFormat: { ...settings.packetFormat, teamId: profile.teamId },
+});
+
+// One-line summary for the quick-pick list
+export const describeProfile = (profile) => {
+  const transport = TRANSPORTS[profile.transportType];
+  if (transport.needsIp && profile.ip) {
+    return `${profile.ip}${profile.port ? `:${profile.port}` : ""}`;
+  }
+  if (transport.needsBle) return `BLE "${profile.ble.namePrefix}"`;
+  return transport.label;
+};
+
+// -----------------------------------------------------------------------------
+// 📤 Import / export
+// -----------------------------------------------------------------------------
+export const profilesToJson = (profiles) =>
+  JSON.stringify({ app: FILE_APP, version: FILE_VERSION, profiles }, null, 2);
+
+const text = (value, fallback = "") =>
+  value === undefined || value === null ? fallback : String(value).trim();
+
+// Checks an imported file and fills in anything it leaves out; throws with a
+// readable message when it isn't a profiles file
+export const parseProfilesJson = (json) => {
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+  const entries = Array.isArray(raw) ? raw : raw?.profiles;
+  if (!Array.isArray(entries)) {
+    throw new Error("No device profiles found in the file.");
+  }
+
+  const defaults = DEFAULT_LINK_SETTINGS;
+  return entries.map((entry, i) => {
+    const name = text(entry?.name);
+    if (!name) throw new Error(`Profile ${i + 1} has no name.`);
+    const transportType = entry.transportType ?? defaults.transportType;
+    if (!TRANSPORTS[transportType]) {
+      throw new Error(`Profile "${name}": unknown transport ${transportType}.`);
+    }
+    const pollIntervalMs = Number(
+      entry.pollIntervalMs ?? defaults.pollIntervalMs
+    );
+    if (!(pollIntervalMs >= 100)) {
+      throw new Error(`Profile "${name}": polling interval must be ≥ 100 ms.`);
+    }
+
+    return {
+      id: `profile-${Date.now().toString(36)}-${i}`,
+      name,
+      transportType,
+      ip: text(entry.ip),
+      port: text(entry.port),
+      ble: {
+        serviceUUID: text(entry.ble?.serviceUUID, defaults.ble.serviceUUID),
+        characteristicUUID: text(
+          entry.ble?.characteristicUUID,
+          defaults.ble.characteristicUUID
+        ),
+        namePrefix: text(entry.ble?.namePrefix, defaults.ble.namePrefix),
+      },
+      teamId: text(entry.teamId),
+      pollIntervalMs,
+    };
+  });
+};
+
+// Imported profiles replace stored ones with the same name
+export const mergeProfiles = (stored, imported) => {
+  const names = new Set(imported.map((profile) => profile.name));
+  return [...stored.filter((profile) => !names.has(profile.name)), ...imported];
+};
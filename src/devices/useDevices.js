@@ -0,0 +1,44 @@
+import { useState } from "react";
+import { newDevice } from "./devices";
+
+const STORAGE_KEY = "cansat.devices";
+
+const loadDevices = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 🛰️ React Hook: the saved list of kits, kept across reloads
+// -----------------------------------------------------------------------------
+const useDevices = () => {
+  const [devices, setDevicesState] = useState(loadDevices);
+
+  // Functional updates: several kits can report settings in the same tick
+  const setDevices = (change) => {
+    setDevicesState((prev) => {
+      const next = change(prev);
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      return next;
+    });
+  };
+
+  const addDevice = () => setDevices((prev) => [...prev, newDevice(prev)]);
+
+  const updateDevice = (id, changes) =>
+    setDevices((prev) =>
+      prev.map((device) =>
+        device.id === id ? { ...device, ...changes } : device
+      )
+    );
+
+  const removeDevice = (id) =>
+    setDevices((prev) => prev.filter((device) => device.id !== id));
+
+  return { devices, addDevice, updateDevice, removeDevice };
+};
+
+export default useDevices;
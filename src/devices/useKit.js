@@ -0,0 +1,85 @@
+import { useState } from "react";
+import useTelemetry from "../telemetry/useTelemetry";
+import useConnectionForm from "../telemetry/useConnectionForm";
+import { withUnknownFields } from "../telemetry/telemetrySchema";
+import useAlerts from "../alerts/useAlerts";
+import useCommandUplink from "../commands/useCommandUplink";
+import { exportLog } from "../export/logExport";
+
+// -----------------------------------------------------------------------------
+// 🛰️ React Hook: everything one kit needs, wired together
+// -----------------------------------------------------------------------------
+// The telemetry hook plus its connection form, alerts, command uplink and log
+// export, shared by every dashboard and by each kit of the fleet view.
+// `telemetry` and `connection` are passed on to useTelemetry and
+// useConnectionForm; `schema` is the telemetry schema the kit is shown with.
+const useKit = ({
+  telemetry: telemetryOptions,
+  connection: formOptions,
+  schema,
+}) => {
+  const [exportFormat, setExportFormat] = useState("csv"); // Log file format
+  const telemetry = useTelemetry(telemetryOptions);
+  const { connected, reconnecting, sensorData, linkError, isLogging } =
+    telemetry;
+  const linked = connected || reconnecting !== null; // Up, or being retried
+  const connection = useConnectionForm({
+    ...formOptions,
+    connect: telemetry.connect,
+    disconnect: telemetry.disconnect,
+    linked,
+  });
+  // Schema fields plus whatever else the kit sends
+  const fields = withUnknownFields(schema, sensorData);
+  const alerts = useAlerts({
+    sensorData,
+    connected: linked,
+    linkError,
+    schema: fields,
+  });
+  const uplink = useCommandUplink({
+    sendCommand: telemetry.sendCommand,
+    sensorData,
+  });
+
+  // 🎚️ Zero the ground level from the pad readings (the kit's own CAL
+  // command is still in the command panel)
+  const calibrate = () => {
+    try {
+      telemetry.calibrateGround();
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // 💾 Download logged data
+  const saveLog = (rows, stored) => {
+    try {
+      exportLog(rows, exportFormat, stored, schema);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // 📂 Review a stored flight (SessionBrowser shows it if loading fails)
+  const reviewSession = async (stored) => {
+    if (isLogging && !confirm("Stop the current logging session?")) return;
+    await telemetry.openSession(stored);
+  };
+
+  return {
+    telemetry,
+    linked,
+    connection,
+    fields,
+    alerts,
+    uplink,
+    exportFormat,
+    setExportFormat,
+    calibrate,
+    saveLog,
+    reviewSession,
+  };
+};
+
+export default useKit;
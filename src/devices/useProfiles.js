@@ -0,0 +1,64 @@
+import { useState } from "react";
+import {
+  mergeProfiles,
+  parseProfilesJson,
+  profileFromSettings,
+  profilesToJson,
+} from "./profiles";
+import { downloadFile } from "../utils/downloadFile";
+
+const STORAGE_KEY = "cansat.profiles";
+
+const loadProfiles = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 📇 React Hook: saved device profiles, with JSON import and export
+// -----------------------------------------------------------------------------
+const useProfiles = () => {
+  const [profiles, setProfilesState] = useState(loadProfiles);
+
+  const setProfiles = (next) => {
+    setProfilesState(next);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  };
+
+  // Saving under an existing name overwrites that profile
+  const saveProfile = (name, settings) => {
+    const profile = profileFromSettings(name, settings);
+    setProfiles(mergeProfiles(profiles, [profile]));
+    return profile;
+  };
+
+  const deleteProfile = (id) =>
+    setProfiles(profiles.filter((profile) => profile.id !== id));
+
+  // Resolves to the number of profiles read; rejects on a bad file
+  const importProfiles = async (file) => {
+    const imported = parseProfilesJson(await file.text());
+    setProfiles(mergeProfiles(profiles, imported));
+    return imported.length;
+  };
+
+  const exportProfiles = () =>
+    downloadFile(
+      profilesToJson(profiles),
+      "cansat_profiles.json",
+      "application/json"
+    );
+
+  return {
+    profiles,
+    saveProfile,
+    deleteProfile,
+    importProfiles,
+    exportProfiles,
+  };
+};
+
+export default useProfiles;
@@ -0,0 +1,254 @@
+import { downloadFile } from "../utils/downloadFile";
+import { isValidFix } from "../utils/geo";
+import { DEFAULT_SCHEMA } from "../telemetry/telemetrySchema";
+import { describeNote } from "../notes/notes";
+
+// -----------------------------------------------------------------------------
+// 📤 Flight log export: CSV, JSON, NDJSON, KML and GPX
+// -----------------------------------------------------------------------------
+// Every format carries the session metadata ({ name, transport, createdAt,
+// endedAt, calibration, filters, notes, ... } plus exportedAt), and file names
+// are the session name with the export time appended so repeated downloads
+// never overwrite each other. Operator notes with a GPS fix also become
+// waypoints in the track formats.
+// Columns follow the telemetry schema's order, and JSON exports include the
+// schema entries so labels and units travel with the data.
+
+const APP_NAME = "CanSat Ground Control";
+
+// ---------------------------------------------------------------------------
+// 📄 CSV: every field that appears in any row, quoted where needed
+// ---------------------------------------------------------------------------
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Union of keys, schema fields first, then the rest in first-seen order, so
+// odd fields from custom firmware or mid-flight format changes are kept
+export const collectFields = (rows, schema = []) => {
+  const present = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => present.add(key)));
+  const known = schema
+    .map((entry) => entry.key)
+    .filter((key) => present.has(key));
+  const knownSet = new Set(known);
+  return [...known, ...[...present].filter((key) => !knownSet.has(key))];
+};
+
+export const toCsv = (rows, fields = collectFields(rows)) =>
+  [
+    fields.map(csvCell).join(","),
+    ...rows.map((row) => fields.map((field) => csvCell(row[field])).join(",")),
+  ].join("\n");
+
+const noteLine = (note) =>
+  [note.time, note.text.replace(/[\r\n]+/g, " "), describeNote(note)]
+    .filter(Boolean)
+    .join(" · ");
+
+// Objects such as the calibration set are written as JSON, notes one a line
+const metaLines = (meta) =>
+  Object.entries(meta)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .flatMap(([key, value]) => {
+      if (key === "notes") {
+        return value.map((note) => `note: ${noteLine(note)}`);
+      }
+      return `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`;
+    });
+
+// Metadata as leading "# key: value" lines; parseCsv skips them on import
+const csvWithMetadata = (rows, meta, fields) => {
+  const header = metaLines(meta).map((line) => `# ${line}`);
+  return [...header, toCsv(rows, fields)].join("\n");
+};
+
+// ---------------------------------------------------------------------------
+// 🗺️ Tracks: KML for Google Earth, GPX for everything else
+// ---------------------------------------------------------------------------
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const trackPoints = (rows) => {
+  const points = rows.filter(isValidFix).map((row) => ({
+    lat: Number(row.latitude),
+    lon: Number(row.longitude),
+    altitude: Number.isFinite(Number(row.altitude)) ? Number(row.altitude) : 0,
+    time: row.dashboardTime,
+  }));
+  if (points.length === 0) {
+    throw new Error("The log has no GPS fixes to build a track from.");
+  }
+  return points;
+};
+
+const describe = (meta) => metaLines(meta).join("\n");
+
+const noteWaypoints = (meta) =>
+  (meta.notes ?? [])
+    .filter((note) => isValidFix(note.sample))
+    .map((note) => ({
+      name: note.text,
+      time: note.time,
+      lat: Number(note.sample.latitude),
+      lon: Number(note.sample.longitude),
+      altitude: Number.isFinite(Number(note.sample.altitude))
+        ? Number(note.sample.altitude)
+        : 0,
+    }));
+
+const toKml = (rows, meta) => {
+  const points = trackPoints(rows);
+  const placemark = (name, { lat, lon, altitude }) => `    <Placemark>
+      <name>${escapeXml(name)}</name>
+      <Point>
+        <altitudeMode>relativeToGround</altitudeMode>
+        <coordinates>${lon},${lat},${altitude}</coordinates>
+      </Point>
+    </Placemark>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(meta.name)}</name>
+    <description>${escapeXml(describe(meta))}</description>
+    <Style id="track">
+      <LineStyle><color>ff00ffff</color><width>3</width></LineStyle>
+    </Style>
+    <Placemark>
+      <name>Flight track</name>
+      <styleUrl>#track</styleUrl>
+      <LineString>
+        <altitudeMode>relativeToGround</altitudeMode>
+        <coordinates>
+${points.map((p) => `          ${p.lon},${p.lat},${p.altitude}`).join("\n")}
+        </coordinates>
+      </LineString>
+    </Placemark>
+${placemark("Launch", points[0])}
+${placemark("Last fix", points[points.length - 1])}
+${noteWaypoints(meta)
+  .map((waypoint) => placemark(`📝 ${waypoint.name}`, waypoint))
+  .join("\n")}
+  </Document>
+</kml>
+`;
+};
+
+const toGpx = (rows, meta) => {
+  const points = trackPoints(rows);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${APP_NAME}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXml(meta.name)}</name>
+    <desc>${escapeXml(describe(meta))}</desc>
+    <time>${meta.exportedAt}</time>
+  </metadata>
+${noteWaypoints(meta)
+  .map(
+    (p) =>
+      `  <wpt lat="${p.lat}" lon="${p.lon}"><ele>${p.altitude}</ele><time>${escapeXml(p.time)}</time><name>${escapeXml(p.name)}</name></wpt>`
+  )
+  .join("\n")}
+  <trk>
+    <name>${escapeXml(meta.name)}</name>
+    <trkseg>
+${points
+  .map(
+    (p) =>
+      `      <trkpt lat="${p.lat}" lon="${p.lon}"><ele>${p.altitude}</ele>${
+        p.time ? `<time>${escapeXml(p.time)}</time>` : ""
+      }</trkpt>`
+  )
+  .join("\n")}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+};
+
+export const EXPORT_FORMATS = {
+  csv: {
+    label: "CSV",
+    extension: "csv",
+    type: "text/csv;charset=utf-8",
+    build: csvWithMetadata,
+  },
+  json: {
+    label: "JSON",
+    extension: "json",
+    type: "application/json",
+    build: (rows, meta, fields, schema) =>
+      JSON.stringify({ session: meta, fields: schema, samples: rows }, null, 2),
+  },
+  ndjson: {
+    label: "NDJSON",
+    extension: "ndjson",
+    type: "application/x-ndjson",
+    // First line is the session and fields, then one sample per line
+    build: (rows, meta, fields, schema) =>
+      [{ session: meta, fields: schema }, ...rows]
+        .map((row) => JSON.stringify(row))
+        .join("\n"),
+  },
+  kml: {
+    label: "KML (Google Earth)",
+    extension: "kml",
+    type: "application/vnd.google-earth.kml+xml",
+    build: toKml,
+  },
+  gpx: {
+    label: "GPX track",
+    extension: "gpx",
+    type: "application/gpx+xml",
+    build: toGpx,
+  },
+};
+
+// e.g. "Flight_3_2026-06-01_14-05-09.kml"
+export const exportFilename = (name, extension, date = new Date()) => {
+  const stamp = date.toISOString().slice(0, 19).replace("T", "_");
+  const base = (name || "cansat_log").replace(/[^\w-]+/g, "_");
+  return `${base}_${stamp.replace(/:/g, "-")}.${extension}`;
+};
+
+// `session` is a stored flight session, or null for an unsaved live log
+export const exportLog = (
+  rows,
+  format,
+  session = null,
+  schema = DEFAULT_SCHEMA
+) => {
+  if (!rows || rows.length === 0) throw new Error("No data to save.");
+  const { label, extension, type, build } = EXPORT_FORMATS[format];
+
+  const exportedAt = new Date();
+  const meta = {
+    name: session?.name ?? "CanSat log",
+    transport: session?.transport ?? null,
+    createdAt: session?.createdAt ?? rows[0].dashboardTime ?? null,
+    endedAt: session?.endedAt ?? null,
+    calibration: session?.calibration ?? null,
+    filters: session?.filters ?? null,
+    notes: session?.notes ?? null,
+    sampleCount: rows.length,
+    exportedAt: exportedAt.toISOString(),
+    exportedBy: APP_NAME,
+    format: label,
+  };
+
+  const fields = collectFields(rows, schema);
+  const used = schema.filter((entry) => fields.includes(entry.key));
+  downloadFile(
+    build(rows, meta, fields, used),
+    exportFilename(meta.name, extension, exportedAt),
+    type
+  );
+};
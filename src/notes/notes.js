@@ -0,0 +1,37 @@
+// -----------------------------------------------------------------------------
+// 📝 Operator notes: timestamped remarks stored with the flight
+// -----------------------------------------------------------------------------
+// A note is { id, time, text, sample }: `sample` is a copy of the latest sample
+// when it was written, so the note keeps its altitude, position and phase.
+// `time` is that sample's dashboardTime (the wall clock before any sample), so
+// notes taken during a replay or review line up with that flight.
+
+// Preset markers, one keypress each while no input has focus
+export const NOTE_PRESETS = [
+  { hotkey: "1", text: "Parachute deployed" },
+  { hotkey: "2", text: "Lost sight" },
+  { hotkey: "3", text: "Regained sight" },
+  { hotkey: "4", text: "Wind picked up" },
+  { hotkey: "5", text: "Recovered" },
+];
+
+export const createNote = (text, sample = {}) => ({
+  id: `note-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  time: sample?.dashboardTime ?? new Date().toISOString(),
+  text,
+  sample,
+});
+
+export const sortNotes = (notes) =>
+  [...notes].sort((a, b) => a.time.localeCompare(b.time));
+
+// Short context for lists and exports, e.g. "412 m · descent"
+export const describeNote = (note) =>
+  [
+    note.sample.altitude !== undefined &&
+      note.sample.altitude !== "" &&
+      `${note.sample.altitude} m`,
+    note.sample.flightPhase,
+  ]
+    .filter(Boolean)
+    .join(" · ");
@@ -0,0 +1,32 @@
+import { useEffect, useRef } from "react";
+import { NOTE_PRESETS } from "./notes";
+
+// Typing a number into a field must not drop a marker
+const isTyping = (target) =>
+  target?.isContentEditable ||
+  ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName);
+
+// -----------------------------------------------------------------------------
+// ⌨️ React Hook: preset note hotkeys
+// -----------------------------------------------------------------------------
+// `onPreset` gets the preset's text; the latest callback is always used, so it
+// can close over the current sample.
+const useNoteHotkeys = (onPreset) => {
+  const onPresetRef = useRef(onPreset);
+  onPresetRef.current = onPreset;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      if (event.repeat || isTyping(event.target)) return;
+      const preset = NOTE_PRESETS.find((entry) => entry.hotkey === event.key);
+      if (!preset) return;
+      event.preventDefault();
+      onPresetRef.current(preset.text);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+};
+
+export default useNoteHotkeys;
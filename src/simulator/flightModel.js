@@ -0,0 +1,203 @@
+// -----------------------------------------------------------------------------
+// 🚀 CanSat flight model: pad → ascent → apogee → parachute descent → landed
+// -----------------------------------------------------------------------------
+// Pure JavaScript so the same model runs inside the Vite dev server and in the
+// browser. Samples use the same JSON shape the ESP32 firmware serves on /data.
+
+import { altitudeToPressure } from "../analysis/atmosphere";
+
+export const DEFAULT_FLIGHT = {
+  padSeconds: 10, // Waiting on the pad before launch
+  ascentSeconds: 15, // Launch to apogee
+  apogee: 700, // m above ground
+  descentRate: 6, // m/s under parachute
+  landedSeconds: 60, // Sit on the ground this long, then fly again (loop)
+  loop: true,
+  groundPressure: 1013.25, // hPa
+  groundTemperature: 30, // °C
+  launchLat: 23.7808, // BRAC University, Dhaka
+  launchLon: 90.407,
+  windSpeed: 4, // m/s, drifts the can while airborne
+  windDirection: 45, // degrees the wind blows towards
+  batteryDrainPerMinute: 1.2, // % per minute
+};
+
+export const DEFAULT_FAULTS = {
+  dropoutRate: 0, // 0–1 probability a sample is not delivered
+  garbageRate: 0, // 0–1 probability a sample arrives corrupted
+};
+
+const METERS_PER_DEG_LAT = 111320;
+
+const noise = (amplitude) => (Math.random() * 2 - 1) * amplitude;
+const round = (value, decimals) => Number(value.toFixed(decimals));
+const pad2 = (n) => String(Math.floor(n)).padStart(2, "0");
+const clock = (seconds) =>
+  `${pad2(seconds / 3600)}:${pad2((seconds / 60) % 60)}:${pad2(seconds % 60)}`;
+
+export const createFlightModel = (options = {}) => {
+  const flight = { ...DEFAULT_FLIGHT, ...options };
+  let startedAt = null; // ms, first sample
+  let packetCount = 0;
+  let altitudeOffset = 0; // Set by CAL
+  let trueAltitude = 0; // Last modelled altitude, before offset and noise
+  let mode = "F"; // F = flight, S = simulation
+  let cmdEcho = "";
+  let telemetryOn = true;
+  let buzzer = false;
+  let satellites = 8;
+
+  const descentSeconds = flight.apogee / flight.descentRate;
+  const flightSeconds = flight.ascentSeconds + descentSeconds;
+  const cycleSeconds = flight.padSeconds + flightSeconds + flight.landedSeconds;
+
+  // -------------------------------------------------------------------------
+  // 📐 True altitude and state at `t` seconds after launch
+  // -------------------------------------------------------------------------
+  const trajectory = (t) => {
+    if (t < 0) return { altitude: 0, state: "LAUNCH_WAIT" };
+    if (t < flight.ascentSeconds) {
+      const u = t / flight.ascentSeconds;
+      return { altitude: flight.apogee * (1 - (1 - u) ** 2), state: "ASCENT" };
+    }
+    const sinceApogee = t - flight.ascentSeconds;
+    if (sinceApogee < 1) return { altitude: flight.apogee, state: "APOGEE" };
+    const altitude = flight.apogee - flight.descentRate * sinceApogee;
+    if (altitude > 0) {
+      // Slow swing under the canopy
+      return {
+        altitude: altitude + Math.sin(sinceApogee * 1.3) * 1.5,
+        state: "DESCENT",
+      };
+    }
+    return { altitude: 0, state: "LANDED" };
+  };
+
+  // Seconds spent airborne up to `t`, for wind drift
+  const airborneSeconds = (t) => Math.min(Math.max(t, 0), flightSeconds);
+
+  const sample = (now = Date.now()) => {
+    startedAt ??= now;
+    let elapsed = (now - startedAt) / 1000;
+    if (flight.loop) elapsed %= cycleSeconds;
+    const t = elapsed - flight.padSeconds;
+
+    const { altitude, state } = trajectory(t);
+    trueAltitude = altitude;
+    const measured = Math.max(altitude + noise(0.8), -2) - altitudeOffset;
+
+    const drift = flight.windSpeed * airborneSeconds(t);
+    const windRad = (flight.windDirection * Math.PI) / 180;
+    const north = drift * Math.cos(windRad) + noise(2);
+    const east = drift * Math.sin(windRad) + noise(2);
+    const latitude = flight.launchLat + north / METERS_PER_DEG_LAT;
+    const longitude =
+      flight.launchLon +
+      east /
+        (METERS_PER_DEG_LAT * Math.cos((flight.launchLat * Math.PI) / 180));
+
+    if (Math.random() < 0.05) {
+      satellites = Math.min(Math.max(satellites + Math.round(noise(1)), 4), 12);
+    }
+    packetCount += 1;
+
+    return {
+      teamId: 111,
+      missionTime: clock(elapsed),
+      packetCount,
+      mode,
+      state,
+      altitude: round(measured, 1),
+      temperature: round(
+        flight.groundTemperature - 0.0065 * altitude + noise(0.2),
+        1
+      ),
+      pressure: round(
+        altitudeToPressure(altitude, flight.groundPressure) + noise(0.15),
+        2
+      ),
+      humidity: round(Math.min(100, 60 + altitude * 0.01 + noise(1)), 1),
+      battery: round(
+        Math.min(
+          100,
+          Math.max(
+            0,
+            100 - (elapsed / 60) * flight.batteryDrainPerMinute + noise(0.3)
+          )
+        ),
+        1
+      ),
+      compass: round(
+        (state === "DESCENT" ? elapsed * 25 : 90 + noise(3)) % 360,
+        0
+      ),
+      latitude: round(latitude, 6),
+      longitude: round(longitude, 6),
+      satellites,
+      buzzer: buzzer ? 1 : 0,
+      cmdEcho,
+      time: new Date(now).toISOString().slice(11, 19),
+    };
+  };
+
+  // -------------------------------------------------------------------------
+  // 📡 Uplink: CMD,<team>,<name>,<args...> plus the legacy bare "ON"
+  // -------------------------------------------------------------------------
+  const command = (message) => {
+    if (String(message).trim() === "ON") return true; // Old firmware LED toggle
+    const [prefix, , name, ...args] = String(message).trim().split(",");
+    if (prefix !== "CMD" || !name) return false;
+
+    switch (name) {
+      case "CAL":
+        altitudeOffset = trueAltitude;
+        break;
+      case "RPC":
+        packetCount = 0;
+        break;
+      case "SIM":
+        mode = args[0] === "DISABLE" ? "F" : "S";
+        break;
+      case "BCN":
+        buzzer = args[0] === "ON";
+        break;
+      case "CX":
+        telemetryOn = args[0] !== "OFF";
+        break;
+      default:
+        break; // ST and unknown commands are just echoed
+    }
+    cmdEcho = `${name}${args.join("")}`;
+    return true;
+  };
+
+  const restart = () => {
+    startedAt = null;
+    packetCount = 0;
+    altitudeOffset = 0;
+    cmdEcho = "";
+  };
+
+  return {
+    sample,
+    command,
+    restart,
+    isTransmitting: () => telemetryOn,
+  };
+};
+
+// -----------------------------------------------------------------------------
+// 💥 Fault injection: decide whether a sample is dropped or corrupted
+// -----------------------------------------------------------------------------
+export const applyFaults = (sample, faults = DEFAULT_FAULTS) => {
+  if (Math.random() < faults.dropoutRate) return { kind: "drop" };
+  if (Math.random() < faults.garbageRate) {
+    const text = JSON.stringify(sample);
+    const cut = Math.floor(Math.random() * text.length);
+    return {
+      kind: "garbage",
+      text: `${text.slice(0, cut)}\u0000~#${text.slice(cut + 3)}`,
+    };
+  }
+  return { kind: "ok", sample };
+};
@@ -0,0 +1,97 @@
+import { createFlightModel, applyFaults, DEFAULT_FAULTS } from "./flightModel";
+import { DEFAULT_DEVICE_FIELDS } from "../telemetry/telemetrySchema";
+
+const STREAM_INTERVAL_MS = 100; // /events pushes at 10 Hz
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.end(JSON.stringify(body));
+};
+
+// -----------------------------------------------------------------------------
+// 🧪 Vite plugin: serve the ESP32 endpoints from the dev server under /sim
+// -----------------------------------------------------------------------------
+// Enter "localhost:5173/sim" as the ESP32 IP for the HTTP and SSE transports.
+// There is no /sim/ws: WebSocket is not simulated and falls back to HTTP.
+//   GET /sim/connect        → { connected: true }
+//   GET /sim/data           → one sample (or a dropout / garbage packet)
+//   GET /sim/cmd?value=...  → handles CMD,<team>,<name>,<args> uplinks
+//   GET /sim/events         → Server-Sent Events stream at 10 Hz
+//   GET /sim/schema         → the telemetry field definitions
+//   GET /sim/config?dropoutRate=0.1&garbageRate=0.05
+//   GET /sim/restart        → back to the launch pad
+export const simulatorPlugin = (options = {}) => ({
+  name: "cansat-simulator",
+  apply: "serve",
+  configureServer(server) {
+    const model = createFlightModel(options.flight);
+    const faults = { ...DEFAULT_FAULTS, ...options.faults };
+
+    // Answers with a sample, a dropout or a corrupted packet
+    const writeSample = (res) => {
+      const result = applyFaults(model.sample(), faults);
+      if (result.kind === "drop" || !model.isTransmitting()) {
+        sendJson(res, 503, { error: "No packet" });
+      } else if (result.kind === "garbage") {
+        res.setHeader("Content-Type", "text/plain");
+        res.end(result.text);
+      } else {
+        sendJson(res, 200, result.sample);
+      }
+    };
+
+    const streamEvents = (req, res) => {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "Access-Control-Allow-Origin": "*",
+      });
+      res.write(": cansat simulator\n\n");
+
+      const intervalId = setInterval(() => {
+        if (!model.isTransmitting()) return;
+        const result = applyFaults(model.sample(), faults);
+        if (result.kind === "drop") return;
+        const data =
+          result.kind === "garbage"
+            ? result.text
+            : JSON.stringify(result.sample);
+        res.write(`data: ${data.replace(/\n/g, "")}\n\n`);
+      }, STREAM_INTERVAL_MS);
+      req.on("close", () => clearInterval(intervalId));
+    };
+
+    server.middlewares.use("/sim", (req, res) => {
+      const url = new URL(req.url, "http://localhost");
+      switch (url.pathname) {
+        case "/connect":
+          return sendJson(res, 200, { connected: true });
+        case "/data":
+          return writeSample(res);
+        case "/cmd":
+          return sendJson(res, 200, {
+            ok: model.command(url.searchParams.get("value") ?? ""),
+          });
+        case "/events":
+          return streamEvents(req, res);
+        case "/schema":
+          return sendJson(res, 200, { fields: DEFAULT_DEVICE_FIELDS });
+        case "/config":
+          ["dropoutRate", "garbageRate"].forEach((key) => {
+            if (url.searchParams.has(key)) {
+              faults[key] = Number(url.searchParams.get(key)) || 0;
+            }
+          });
+          return sendJson(res, 200, faults);
+        case "/restart":
+          model.restart();
+          return sendJson(res, 200, { ok: true });
+        default:
+          return sendJson(res, 404, { error: "Unknown simulator endpoint" });
+      }
+    });
+  },
+});
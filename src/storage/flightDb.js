@@ -0,0 +1,206 @@
+// -----------------------------------------------------------------------------
+// 🗄️ Flight log storage: IndexedDB sessions + incrementally written samples
+// -----------------------------------------------------------------------------
+// Two object stores:
+//   sessions  { id, name, deviceId, dashboard, createdAt, updatedAt, endedAt,
+//               sampleCount, status, calibration, filters, notes }
+//   samples   { sessionId, ...sample }   (indexed by sessionId)
+// A session stays "active" until logging is reset, which is how a reload or
+// crash mid-flight is recognised and resumed. `deviceId` says which kit of a
+// multi-device setup logged it (null for the single-device dashboards) and
+// `dashboard` which page, so each page only resumes its own sessions.
+// `calibration` and `filters` say how the logged values were processed, and
+// `notes` are the operator's remarks (see notes/notes.js).
+
+const DB_NAME = "cansat-gcs";
+const DB_VERSION = 1;
+const FLUSH_INTERVAL_MS = 1000;
+
+let dbPromise = null;
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+export const openFlightDb = () => {
+  if (!window.indexedDB) {
+    return Promise.reject(new Error("IndexedDB is not available."));
+  }
+
+  dbPromise ||= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore("sessions", { keyPath: "id", autoIncrement: true });
+      const samples = db.createObjectStore("samples", { autoIncrement: true });
+      samples.createIndex("sessionId", "sessionId");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+// ---------------------------------------------------------------------------
+// 📁 Sessions
+// ---------------------------------------------------------------------------
+export const createSession = async ({
+  name,
+  transport = null,
+  deviceId = null,
+  dashboard = null,
+  calibration = null,
+  filters = [],
+  notes = [],
+}) => {
+  const db = await openFlightDb();
+  const now = new Date().toISOString();
+  const session = {
+    name,
+    transport,
+    deviceId,
+    dashboard,
+    calibration,
+    filters,
+    notes,
+    createdAt: now,
+    updatedAt: now,
+    endedAt: null,
+    sampleCount: 0,
+    status: "active",
+  };
+  const tx = db.transaction("sessions", "readwrite");
+  const id = await promisify(tx.objectStore("sessions").add(session));
+  await transactionDone(tx);
+  return { ...session, id };
+};
+
+const updateSession = async (id, changes) => {
+  const db = await openFlightDb();
+  const tx = db.transaction("sessions", "readwrite");
+  const store = tx.objectStore("sessions");
+  const session = await promisify(store.get(id));
+  if (session) store.put({ ...session, ...changes });
+  await transactionDone(tx);
+};
+
+export const renameSession = (id, name) => updateSession(id, { name });
+
+export const setSessionNotes = (id, notes) => updateSession(id, { notes });
+
+// `changes` is { calibration } and/or { filters }
+export const setSessionProcessing = (id, changes) => updateSession(id, changes);
+
+export const closeSession = (id) =>
+  updateSession(id, { status: "closed", endedAt: new Date().toISOString() });
+
+export const listSessions = async () => {
+  const db = await openFlightDb();
+  const sessions = await promisify(
+    db.transaction("sessions").objectStore("sessions").getAll()
+  );
+  return sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+// Most recent session of a device that was never closed, i.e. an
+// interrupted flight
+export const findActiveSession = async (deviceId = null, dashboard = null) => {
+  const sessions = await listSessions();
+  return (
+    sessions.find(
+      (session) =>
+        session.status === "active" &&
+        (session.deviceId ?? null) === deviceId &&
+        (session.dashboard ?? null) === dashboard
+    ) ?? null
+  );
+};
+
+export const getSessionSamples = async (id) => {
+  const db = await openFlightDb();
+  const rows = await promisify(
+    db
+      .transaction("samples")
+      .objectStore("samples")
+      .index("sessionId")
+      .getAll(id)
+  );
+  return rows.map((row) => {
+    const sample = { ...row };
+    delete sample.sessionId;
+    return sample;
+  });
+};
+
+export const deleteSession = async (id) => {
+  const db = await openFlightDb();
+  const tx = db.transaction(["sessions", "samples"], "readwrite");
+  tx.objectStore("sessions").delete(id);
+  const index = tx.objectStore("samples").index("sessionId");
+  const keys = await promisify(index.getAllKeys(id));
+  keys.forEach((key) => tx.objectStore("samples").delete(key));
+  await transactionDone(tx);
+};
+
+// ---------------------------------------------------------------------------
+// ✍️ Batched writer: queue samples, flush once a second and on page hide
+// ---------------------------------------------------------------------------
+export const createSessionWriter = (sessionId) => {
+  let queue = [];
+  let flushing = Promise.resolve();
+
+  const writeBatch = async (batch) => {
+    const db = await openFlightDb();
+    const tx = db.transaction(["sessions", "samples"], "readwrite");
+    const samples = tx.objectStore("samples");
+    batch.forEach((sample) => samples.add({ ...sample, sessionId }));
+
+    const sessions = tx.objectStore("sessions");
+    const session = await promisify(sessions.get(sessionId));
+    if (session) {
+      sessions.put({
+        ...session,
+        sampleCount: session.sampleCount + batch.length,
+        updatedAt: new Date().toISOString(),
+      });
+    }
+    await transactionDone(tx);
+  };
+
+  const flush = () => {
+    if (queue.length === 0) return flushing;
+    const batch = queue;
+    queue = [];
+    flushing = flushing
+      .then(() => writeBatch(batch))
+      .catch((err) => console.error("Flight log write failed:", err));
+    return flushing;
+  };
+
+  const intervalId = setInterval(flush, FLUSH_INTERVAL_MS);
+  window.addEventListener("pagehide", flush);
+
+  const push = (sample) => {
+    queue.push(sample);
+  };
+
+  const close = () => {
+    clearInterval(intervalId);
+    window.removeEventListener("pagehide", flush);
+    return flush();
+  };
+
+  return { sessionId, push, flush, close };
+};
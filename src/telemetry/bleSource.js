@@ -0,0 +1,91 @@
+import { createEmitter } from "./createEmitter";
+import { createPacketParser, emitFrame } from "./packetParser";
+
+export const BLE_SERVICE_UUID = "12345678-1234-1234-1234-123456789abc";
+export const BLE_CHARACTERISTIC_UUID = "abcd1234-abcd-1234-abcd-123456789abc";
+export const BLE_NAME_PREFIX = "CanSatBLE";
+
+// -----------------------------------------------------------------------------
+// 🔵 Web Bluetooth source: packets arrive as characteristic notifications
+// -----------------------------------------------------------------------------
+// The chosen device is kept, so calling connect() again after "lost" reopens
+// the GATT link without showing the device picker a second time.
+export const createBleSource = ({
+  serviceUUID = BLE_SERVICE_UUID,
+  characteristicUUID = BLE_CHARACTERISTIC_UUID,
+  namePrefix = BLE_NAME_PREFIX,
+  packetFormat,
+} = {}) => {
+  const emitter = createEmitter();
+  const parser = createPacketParser(packetFormat);
+  let device = null;
+  let characteristic = null;
+  let closing = false; // Disconnect was asked for, not a dropped link
+
+  const handleNotification = (event) => {
+    const value = new TextDecoder().decode(event.target.value);
+    emitFrame(emitter, parser, value);
+  };
+
+  const handleDisconnected = () => {
+    characteristic = null;
+    if (closing) return;
+    emitter.emit("status", "disconnected");
+    emitter.emit("lost", new Error("Bluetooth link lost."));
+  };
+
+  const connect = async () => {
+    if (!navigator.bluetooth) {
+      throw new Error("Web Bluetooth is not supported in this browser.");
+    }
+
+    emitter.emit("status", "connecting");
+    closing = false;
+    try {
+      if (!device) {
+        device = await navigator.bluetooth.requestDevice({
+          filters: [{ namePrefix }],
+          optionalServices: [serviceUUID],
+        });
+        device.addEventListener("gattserverdisconnected", handleDisconnected);
+      }
+
+      const server = await device.gatt.connect();
+      const service = await server.getPrimaryService(serviceUUID);
+      characteristic = await service.getCharacteristic(characteristicUUID);
+
+      await characteristic.startNotifications();
+      characteristic.addEventListener(
+        "characteristicvaluechanged",
+        handleNotification
+      );
+    } catch (err) {
+      emitter.emit("status", "disconnected");
+      throw err;
+    }
+
+    emitter.emit("status", "connected");
+  };
+
+  const disconnect = async () => {
+    closing = true;
+    if (characteristic) {
+      characteristic.removeEventListener(
+        "characteristicvaluechanged",
+        handleNotification
+      );
+      characteristic = null;
+    }
+    if (device?.gatt.connected) {
+      device.gatt.disconnect();
+    }
+    emitter.emit("status", "disconnected");
+  };
+
+  const send = async (command) => {
+    if (!characteristic) throw new Error("Not connected.");
+    await characteristic.writeValue(new TextEncoder().encode(command));
+  };
+
+  return { type: "ble", connect, disconnect, send, on: emitter.on };
+};
@@ -0,0 +1,22 @@
+// -----------------------------------------------------------------------------
+// 📣 Tiny event emitter shared by telemetry sources
+// -----------------------------------------------------------------------------
+// `on` returns an unsubscribe function so React effects can clean up easily.
+export const createEmitter = () => {
+  const listeners = {};
+
+  const on = (event, handler) => {
+    (listeners[event] ||= new Set()).add(handler);
+    return () => listeners[event].delete(handler);
+  };
+
+  const emit = (event, payload) => {
+    listeners[event]?.forEach((handler) => handler(payload));
+  };
+
+  const clear = () => {
+    Object.keys(listeners).forEach((event) => delete listeners[event]);
+  };
+
+  return { on, emit, clear };
+};
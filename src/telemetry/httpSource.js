@@ -0,0 +1,76 @@
+import axios from "axios";
+import { createEmitter } from "./createEmitter";
+import { createPacketParser, emitFrame } from "./packetParser";
+
+const MAX_FAILED_POLLS = 3; // In a row, before the link counts as lost
+
+// -----------------------------------------------------------------------------
+// 🌐 HTTP polling source: GET /connect once, then GET /data on an interval
+// -----------------------------------------------------------------------------
+// The next poll is only scheduled once the previous one settles, so a slow
+// ESP32 never has several requests in flight at once. A few failed polls in a
+// row (ESP32 rebooted, out of WiFi range) stop polling and emit "lost".
+export const createHttpSource = ({ ip, intervalMs = 1000, packetFormat }) => {
+  const emitter = createEmitter();
+  const parser = createPacketParser(packetFormat);
+  const baseUrl = `http://${ip}`;
+  let timeoutId = null;
+  let polling = false;
+  let failedPolls = 0;
+
+  const poll = async () => {
+    const startedAt = Date.now();
+    try {
+      const res = await axios.get(`${baseUrl}/data`);
+      if (!polling) return;
+      emitter.emit("request", { ok: true, latencyMs: Date.now() - startedAt });
+      failedPolls = 0;
+      emitFrame(emitter, parser, res.data);
+    } catch (err) {
+      if (!polling) return;
+      emitter.emit("request", { ok: false, latencyMs: Date.now() - startedAt });
+      emitter.emit("error", err);
+      failedPolls += 1;
+      if (failedPolls >= MAX_FAILED_POLLS) {
+        polling = false;
+        emitter.emit("status", "disconnected");
+        emitter.emit("lost", err);
+        return;
+      }
+    }
+
+    const elapsed = Date.now() - startedAt;
+    timeoutId = setTimeout(poll, Math.max(0, intervalMs - elapsed));
+  };
+
+  const connect = async () => {
+    emitter.emit("status", "connecting");
+    try {
+      const res = await axios.get(`${baseUrl}/connect`);
+      if (!res.data.connected) {
+        throw new Error("ESP32 did not confirm connection.");
+      }
+    } catch (err) {
+      emitter.emit("status", "disconnected");
+      throw err;
+    }
+
+    polling = true;
+    failedPolls = 0;
+    emitter.emit("status", "connected");
+    poll();
+  };
+
+  const disconnect = async () => {
+    polling = false;
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    emitter.emit("status", "disconnected");
+  };
+
+  const send = async (command) => {
+    await axios.get(`${baseUrl}/cmd?value=${encodeURIComponent(command)}`);
+  };
+
+  return { type: "http", connect, disconnect, send, on: emitter.on };
+};
@@ -0,0 +1,118 @@
+// -----------------------------------------------------------------------------
+// 📶 Link quality monitor: rate, latency, failures, staleness, sequence gaps
+// -----------------------------------------------------------------------------
+// Fed by the telemetry hook from every source's events. Rates and averages
+// cover a sliding window so the indicator recovers once the link does;
+// missed packets are counted for the whole connection.
+
+const WINDOW_MS = 10000;
+const STALE_MS = 5000; // No good sample for this long: data is stale
+const DEGRADED_FAILURE_RATE = 0.2;
+const DEGRADED_LOSS_RATE = 0.05;
+
+export const LINK_HEALTH = {
+  idle: { label: "Not connected", className: "bg-gray-500" },
+  waiting: { label: "Waiting for data", className: "bg-gray-400" },
+  good: { label: "Good", className: "bg-green-500" },
+  degraded: { label: "Degraded", className: "bg-yellow-500" },
+  stale: { label: "Stale", className: "bg-red-500" },
+};
+
+export const createLinkMonitor = () => {
+  let connectedAt = null;
+  let samples = []; // ms each good sample arrived
+  let failures = []; // ms each failed poll or rejected frame happened
+  let requests = []; // { at, latencyMs } of answered polls
+  let lastSampleAt = null;
+  let lastCount = null; // Packet counter of the previous sample
+  let received = 0; // Samples that carried a counter
+  let missed = 0;
+
+  const prune = (now) => {
+    const since = now - WINDOW_MS;
+    samples = samples.filter((at) => at > since);
+    failures = failures.filter((at) => at > since);
+    requests = requests.filter(({ at }) => at > since);
+  };
+
+  const reset = (now = Date.now()) => {
+    connectedAt = now;
+    samples = [];
+    failures = [];
+    requests = [];
+    lastSampleAt = null;
+    lastCount = null;
+    received = 0;
+    missed = 0;
+  };
+
+  // Returns how many packets went missing just before this one
+  const recordSample = (sample, now = Date.now()) => {
+    samples.push(now);
+    lastSampleAt = now;
+
+    const count = Number(sample.packetCount);
+    if (sample.packetCount === undefined || !Number.isInteger(count)) return 0;
+    // A lower counter means the can rebooted or the count was reset (RPC)
+    const gap =
+      lastCount !== null && count > lastCount ? count - lastCount - 1 : 0;
+    lastCount = count;
+    received += 1;
+    missed += gap;
+    return gap;
+  };
+
+  const recordFailure = (now = Date.now()) => {
+    failures.push(now);
+  };
+
+  const recordRequest = ({ ok, latencyMs }, now = Date.now()) => {
+    if (ok) requests.push({ at: now, latencyMs });
+    else recordFailure(now);
+  };
+
+  const snapshot = (now = Date.now()) => {
+    prune(now);
+    const windowSeconds =
+      connectedAt === null ? 0 : Math.min(WINDOW_MS, now - connectedAt) / 1000;
+    const attempts = samples.length + failures.length;
+    const latencyMs =
+      requests.length > 0
+        ? requests.reduce((sum, r) => sum + r.latencyMs, 0) / requests.length
+        : null;
+    const failureRate = attempts > 0 ? failures.length / attempts : null;
+    const lossRate = received > 0 ? missed / (received + missed) : null;
+    const sinceLastSampleMs = lastSampleAt === null ? null : now - lastSampleAt;
+
+    let health = "good";
+    if (connectedAt === null) health = "idle";
+    else if (lastSampleAt === null) {
+      health = now - connectedAt > STALE_MS ? "stale" : "waiting";
+    } else if (sinceLastSampleMs > STALE_MS) health = "stale";
+    else if (
+      failureRate > DEGRADED_FAILURE_RATE ||
+      lossRate > DEGRADED_LOSS_RATE
+    ) {
+      health = "degraded";
+    }
+
+    return {
+      health,
+      packetsPerSecond:
+        windowSeconds > 0 ? samples.length / windowSeconds : null,
+      latencyMs,
+      failureRate,
+      sinceLastSampleMs,
+      missedPackets: missed,
+      lossRate,
+    };
+  };
+
+  const stop = () => {
+    connectedAt = null;
+  };
+
+  return { reset, stop, recordSample, recordFailure, recordRequest, snapshot };
+};
+
+export const IDLE_LINK_STATS = createLinkMonitor().snapshot();
@@ -0,0 +1,168 @@
+// -----------------------------------------------------------------------------
+// 📦 Telemetry packet parser: JSON objects or delimited CanSat text frames
+// -----------------------------------------------------------------------------
+// Text frames follow the competition layout, e.g.
+//   111,00:01:32,93,F,ASCENT,412.3,24.1,965.2,61,87,23.78,90.41,7,182,CXON*7A
+// The optional `*HH` suffix is a hex checksum over everything before the `*`.
+// Fields ending in `?` are optional when they come last: frames may leave them
+// off, and their keys are then left unset (older firmware sends no cmdEcho).
+
+export const CHECKSUM_MODES = {
+  none: "None",
+  xor: "XOR (NMEA style)",
+  sum8: "Sum mod 256",
+};
+
+export const DEFAULT_PACKET_FORMAT = {
+  delimiter: ",",
+  fields: [
+    "teamId",
+    "missionTime",
+    "packetCount",
+    "mode",
+    "state",
+    "altitude",
+    "temperature",
+    "pressure",
+    "humidity",
+    "battery",
+    "latitude",
+    "longitude",
+    "satellites",
+    "compass",
+    "cmdEcho?",
+  ],
+  checksum: "none",
+  teamId: "", // Empty accepts frames from any team
+};
+
+const computeChecksum = (text, mode) => {
+  let value = 0;
+  for (let i = 0; i < text.length; i++) {
+    value =
+      mode === "xor" ? value ^ text.charCodeAt(i) : value + text.charCodeAt(i);
+  }
+  return value & 0xff;
+};
+
+// "12.5" → 12.5, "" → "", "ASCENT" → "ASCENT"
+export const toValue = (raw) => {
+  const text = raw.trim();
+  if (text === "") return text;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : text;
+};
+
+const reject = (reason) => ({ ok: false, reason });
+
+const OPTIONAL = "?";
+
+// ["a", "b?", "c?"] → keys ["a", "b", "c"], only "a" required
+const frameLayout = (fields) => {
+  const keys = fields.map((field) =>
+    field.endsWith(OPTIONAL) ? field.slice(0, -OPTIONAL.length) : field
+  );
+  let required = fields.length;
+  while (required > 0 && fields[required - 1].endsWith(OPTIONAL)) required--;
+  return { keys, required };
+};
+
+export const createPacketParser = (format = {}) => {
+  const { delimiter, fields, checksum, teamId } = {
+    ...DEFAULT_PACKET_FORMAT,
+    ...format,
+  };
+  const layout = frameLayout(fields);
+
+  const parseJson = (text) => {
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed === null || typeof parsed !== "object") {
+        return reject("JSON frame is not an object");
+      }
+      return { ok: true, sample: parsed };
+    } catch {
+      return reject("Malformed JSON");
+    }
+  };
+
+  const parseDelimited = (text) => {
+    let body = text;
+    const starIndex = text.lastIndexOf("*");
+
+    if (checksum !== "none") {
+      if (starIndex === -1) return reject("Missing checksum");
+      body = text.slice(0, starIndex);
+      const expected = parseInt(text.slice(starIndex + 1), 16);
+      const actual = computeChecksum(body, checksum);
+      if (expected !== actual) {
+        return reject(
+          `Checksum mismatch (got ${text.slice(starIndex + 1)}, expected ${actual
+            .toString(16)
+            .toUpperCase()
+            .padStart(2, "0")})`
+        );
+      }
+    } else if (starIndex !== -1) {
+      body = text.slice(0, starIndex);
+    }
+
+    const values = body.split(delimiter);
+    if (values.length < layout.required || values.length > fields.length) {
+      const expected =
+        layout.required === fields.length
+          ? fields.length
+          : `${layout.required}-${fields.length}`;
+      return reject(`Expected ${expected} fields, got ${values.length}`);
+    }
+
+    const sample = {};
+    values.forEach((value, i) => {
+      sample[layout.keys[i]] = toValue(value);
+    });
+
+    if (teamId && String(sample.teamId) !== String(teamId)) {
+      return reject(`Unexpected team ID ${sample.teamId}`);
+    }
+
+    // Dashboards show the on-board clock from `time`
+    if (sample.missionTime !== undefined && sample.time === undefined) {
+      sample.time = sample.missionTime;
+    }
+
+    return { ok: true, sample };
+  };
+
+  // Accepts a raw text frame or an already-decoded object (axios JSON bodies)
+  const parse = (frame) => {
+    if (frame !== null && typeof frame === "object") {
+      return { ok: true, sample: frame };
+    }
+
+    const text = String(frame ?? "").trim();
+    if (!text) return reject("Empty frame");
+    return text.startsWith("{") ? parseJson(text) : parseDelimited(text);
+  };
+
+  return { parse };
+};
+
+// -----------------------------------------------------------------------------
+// 📣 Run a frame through the parser and emit "sample" or "reject"
+// -----------------------------------------------------------------------------
+export const emitFrame = (emitter, parser, frame) => {
+  const result = parser.parse(frame);
+  if (result.ok) {
+    emitter.emit("sample", {
+      ...result.sample,
+      esp32Time: result.sample.time ?? new Date().toISOString(),
+    });
+    return;
+  }
+
+  emitter.emit("reject", {
+    frame: typeof frame === "string" ? frame : JSON.stringify(frame),
+    reason: result.reason,
+    receivedAt: new Date().toISOString(),
+  });
+};
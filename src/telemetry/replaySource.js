@@ -0,0 +1,115 @@
+import { createEmitter } from "./createEmitter";
+import { parseCsv } from "../utils/csv";
+
+export const REPLAY_SPEEDS = [0.5, 1, 2, 5, 10, 20];
+const MAX_GAP_MS = 10000; // Don't sit idle through long logging pauses
+const DEFAULT_GAP_MS = 1000; // Used when a row has no usable timestamp
+
+// -----------------------------------------------------------------------------
+// 📂 Load an exported CSV log (see export/logExport) for replay
+// -----------------------------------------------------------------------------
+export const readReplayFile = async (file) => {
+  if (!file) throw new Error("Choose a CSV log file first.");
+  const { headers, rows } = parseCsv(await file.text());
+  if (!headers.includes("dashboardTime")) {
+    throw new Error("Not a CanSat log: missing the dashboardTime column.");
+  }
+  if (rows.length === 0) throw new Error("The log has no samples.");
+  return rows;
+};
+
+// -----------------------------------------------------------------------------
+// ⏯️ Replay source: re-emits logged rows with their original timing
+// -----------------------------------------------------------------------------
+// Besides the common source shape it exposes play/pause/seek/setSpeed and
+// emits "progress" ({ index, total, playing, speed }) and "seek" (the rows
+// before the new position, so charts can rebuild their history). `progress()`
+// returns the current progress for listeners that subscribe late.
+export const createReplaySource = ({ rows = [] }) => {
+  const emitter = createEmitter();
+  const times = rows.map((row) => Date.parse(row.dashboardTime));
+  let index = 0; // Next row to emit
+  let playing = false;
+  let speed = 1;
+  let timerId = null;
+
+  const progress = () => ({ index, total: rows.length, playing, speed });
+
+  const emitProgress = () => {
+    emitter.emit("progress", progress());
+  };
+
+  const delayToNext = () => {
+    const gap = times[index] - times[index - 1];
+    const ms = Number.isFinite(gap) && gap >= 0 ? gap : DEFAULT_GAP_MS;
+    return Math.min(ms, MAX_GAP_MS) / speed;
+  };
+
+  const step = () => {
+    if (!playing) return;
+    if (index >= rows.length) {
+      playing = false;
+      emitProgress();
+      return;
+    }
+
+    emitter.emit("sample", rows[index]);
+    index += 1;
+    emitProgress();
+    timerId = setTimeout(step, index < rows.length ? delayToNext() : 0);
+  };
+
+  const play = () => {
+    if (playing) return;
+    if (index >= rows.length) index = 0;
+    playing = true;
+    step();
+  };
+
+  const pause = () => {
+    playing = false;
+    clearTimeout(timerId);
+    emitProgress();
+  };
+
+  const seek = (nextIndex) => {
+    clearTimeout(timerId);
+    index = Math.min(Math.max(Math.round(nextIndex), 0), rows.length);
+    emitter.emit("seek", rows.slice(0, index));
+    emitProgress();
+    if (playing) timerId = setTimeout(step, 0);
+  };
+
+  const setSpeed = (nextSpeed) => {
+    speed = nextSpeed;
+    emitProgress();
+  };
+
+  const connect = async () => {
+    if (rows.length === 0) throw new Error("Nothing to replay.");
+    emitter.emit("status", "connected");
+    emitProgress();
+  };
+
+  const disconnect = async () => {
+    pause();
+    emitter.emit("status", "disconnected");
+  };
+
+  const send = async () => {
+    throw new Error("Commands can't be sent during replay.");
+  };
+
+  return {
+    type: "replay",
+    connect,
+    disconnect,
+    send,
+    on: emitter.on,
+    progress,
+    play,
+    pause,
+    seek,
+    setSpeed,
+  };
+};
@@ -0,0 +1,118 @@
+import { createEmitter } from "./createEmitter";
+import { createPacketParser, emitFrame } from "./packetParser";
+
+export const BAUD_RATES = [9600, 19200, 38400, 57600, 115200, 230400];
+export const DEFAULT_BAUD_RATE = 115200;
+
+// A receiver that never sends a newline would otherwise grow the buffer forever.
+const MAX_LINE_LENGTH = 4096;
+
+// -----------------------------------------------------------------------------
+// 🔌 Web Serial source: USB LoRa/XBee receiver, one packet per line
+// -----------------------------------------------------------------------------
+// The chosen port is kept, so calling connect() again after "lost" reopens it
+// without the port picker (which needs a click).
+export const createSerialSource = ({
+  baudRate = DEFAULT_BAUD_RATE,
+  packetFormat,
+} = {}) => {
+  const emitter = createEmitter();
+  const parser = createPacketParser(packetFormat);
+  let selected = null; // Port the user picked
+  let port = null; // The same port while open
+  let reader = null;
+  let readableClosed = null;
+  let closing = false; // Disconnect was asked for, not a dropped link
+
+  const handleLine = (line) => {
+    // Receivers often send blank keep-alive lines; they are not bad frames
+    if (!line.trim()) return;
+    emitFrame(emitter, parser, line);
+  };
+
+  // ---------------------------------------------------------------------------
+  // 📜 Read loop: decode bytes, split on newlines, keep the partial tail
+  // ---------------------------------------------------------------------------
+  const readLoop = async () => {
+    const decoder = new TextDecoderStream();
+    readableClosed = port.readable.pipeTo(decoder.writable).catch(() => {});
+    reader = decoder.readable.getReader();
+    let buffer = "";
+    let error = null;
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+
+        if (buffer.length > MAX_LINE_LENGTH) {
+          emitter.emit("error", new Error("Serial line too long, dropped."));
+          buffer = "";
+        }
+      }
+    } catch (err) {
+      error = err; // Unplugging the receiver ends up here
+    } finally {
+      reader.releaseLock();
+      reader = null;
+    }
+    if (closing) return;
+
+    // The stream ended on its own: cable pulled or port closed by the device
+    await readableClosed;
+    await port?.close().catch(() => {});
+    port = null;
+    emitter.emit("status", "disconnected");
+    emitter.emit("lost", error ?? new Error("Serial port closed."));
+  };
+
+  const connect = async () => {
+    if (!navigator.serial) {
+      throw new Error("Web Serial is not supported in this browser.");
+    }
+
+    emitter.emit("status", "connecting");
+    closing = false;
+    try {
+      selected ??= await navigator.serial.requestPort();
+      await selected.open({ baudRate: Number(baudRate) });
+      port = selected;
+    } catch (err) {
+      emitter.emit("status", "disconnected");
+      throw err;
+    }
+
+    emitter.emit("status", "connected");
+    readLoop();
+  };
+
+  const disconnect = async () => {
+    closing = true;
+    try {
+      await reader?.cancel();
+      await readableClosed;
+      await port?.close();
+    } catch (err) {
+      emitter.emit("error", err);
+    }
+    port = null;
+    emitter.emit("status", "disconnected");
+  };
+
+  const send = async (command) => {
+    if (!port?.writable) throw new Error("Not connected.");
+    const writer = port.writable.getWriter();
+    try {
+      await writer.write(new TextEncoder().encode(`${command}\n`));
+    } finally {
+      writer.releaseLock();
+    }
+  };
+
+  return { type: "serial", connect, disconnect, send, on: emitter.on };
+};
@@ -0,0 +1,53 @@
+import { createEmitter } from "./createEmitter";
+import { createPacketParser, emitFrame } from "./packetParser";
+import {
+  createFlightModel,
+  applyFaults,
+  DEFAULT_FAULTS,
+} from "../simulator/flightModel";
+
+// -----------------------------------------------------------------------------
+// 🧪 In-browser simulator source: no ESP32, no dev server, no network
+// -----------------------------------------------------------------------------
+// Garbage packets go through the real packet parser, so they show up as
+// rejected frames exactly like a noisy radio link would.
+export const createSimulatorSource = ({
+  rateHz = 10,
+  faults = DEFAULT_FAULTS,
+  flight,
+  packetFormat,
+} = {}) => {
+  const emitter = createEmitter();
+  const parser = createPacketParser(packetFormat);
+  const model = createFlightModel(flight);
+  let intervalId = null;
+
+  const tick = () => {
+    if (!model.isTransmitting()) return;
+    const result = applyFaults(model.sample(), faults);
+    if (result.kind === "drop") return;
+    emitFrame(
+      emitter,
+      parser,
+      result.kind === "garbage" ? result.text : result.sample
+    );
+  };
+
+  const connect = async () => {
+    intervalId = setInterval(tick, 1000 / rateHz);
+    emitter.emit("status", "connected");
+  };
+
+  const disconnect = async () => {
+    clearInterval(intervalId);
+    intervalId = null;
+    emitter.emit("status", "disconnected");
+  };
+
+  const send = async (command) => {
+    if (!intervalId) throw new Error("Not connected.");
+    model.command(command);
+  };
+
+  return { type: "sim", connect, disconnect, send, on: emitter.on };
+};
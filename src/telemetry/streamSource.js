@@ -0,0 +1,117 @@
+import axios from "axios";
+import { createEmitter } from "./createEmitter";
+import { createPacketParser, emitFrame } from "./packetParser";
+
+const OPEN_TIMEOUT_MS = 4000;
+
+// -----------------------------------------------------------------------------
+// ⚡ WebSocket source: ws://<ip>/ws pushes every packet as it is produced
+// -----------------------------------------------------------------------------
+export const createWebSocketSource = ({ ip, path = "/ws", packetFormat }) => {
+  const emitter = createEmitter();
+  const parser = createPacketParser(packetFormat);
+  let socket = null;
+  let closing = false;
+
+  const connect = () =>
+    new Promise((resolve, reject) => {
+      emitter.emit("status", "connecting");
+      closing = false;
+      // Timer and handlers keep to this socket; `socket` may be cleared or replaced
+      const ws = new WebSocket(`ws://${ip}${path}`);
+      socket = ws;
+      let opened = false;
+
+      const timeoutId = setTimeout(() => {
+        ws.close();
+        reject(new Error("WebSocket did not open in time."));
+      }, OPEN_TIMEOUT_MS);
+
+      ws.onopen = () => {
+        clearTimeout(timeoutId);
+        opened = true;
+        emitter.emit("status", "connected");
+        resolve();
+      };
+      ws.onmessage = (event) => emitFrame(emitter, parser, event.data);
+      ws.onerror = (event) => emitter.emit("error", event);
+      ws.onclose = () => {
+        clearTimeout(timeoutId);
+        emitter.emit("status", "disconnected");
+        if (closing) return;
+        reject(new Error("WebSocket closed."));
+        // Dropped after it was up: the ESP32 rebooted or left WiFi range
+        if (opened) emitter.emit("lost", new Error("WebSocket closed."));
+      };
+    });
+
+  const disconnect = async () => {
+    closing = true;
+    socket?.close();
+    socket = null;
+    emitter.emit("status", "disconnected");
+  };
+
+  const send = async (command) => {
+    if (socket?.readyState !== WebSocket.OPEN) {
+      throw new Error("Not connected.");
+    }
+    socket.send(command);
+  };
+
+  return { type: "ws", connect, disconnect, send, on: emitter.on };
+};
+
+// -----------------------------------------------------------------------------
+// 📨 Server-Sent Events source: GET /events downlink, /cmd for the uplink
+// -----------------------------------------------------------------------------
+export const createSseSource = ({ ip, path = "/events", packetFormat }) => {
+  const emitter = createEmitter();
+  const parser = createPacketParser(packetFormat);
+  const baseUrl = `http://${ip}`;
+  let eventSource = null;
+
+  const connect = () =>
+    new Promise((resolve, reject) => {
+      emitter.emit("status", "connecting");
+      eventSource = new EventSource(`${baseUrl}${path}`);
+      let opened = false;
+
+      const timeoutId = setTimeout(() => {
+        eventSource.close();
+        emitter.emit("status", "disconnected");
+        reject(new Error("Event stream did not open in time."));
+      }, OPEN_TIMEOUT_MS);
+
+      eventSource.onopen = () => {
+        clearTimeout(timeoutId);
+        opened = true;
+        emitter.emit("status", "connected");
+        resolve();
+      };
+      eventSource.onmessage = (event) => emitFrame(emitter, parser, event.data);
+      eventSource.onerror = (event) => {
+        if (opened) {
+          // EventSource retries on its own; just surface the hiccup.
+          emitter.emit("error", event);
+          return;
+        }
+        clearTimeout(timeoutId);
+        eventSource.close();
+        emitter.emit("status", "disconnected");
+        reject(new Error("Event stream failed to open."));
+      };
+    });
+
+  const disconnect = async () => {
+    eventSource?.close();
+    eventSource = null;
+    emitter.emit("status", "disconnected");
+  };
+
+  const send = async (command) => {
+    await axios.get(`${baseUrl}/cmd?value=${encodeURIComponent(command)}`);
+  };
+
+  return { type: "sse", connect, disconnect, send, on: emitter.on };
+};
@@ -0,0 +1,263 @@
+import axios from "axios";
+import { rawKey } from "../analysis/calibration";
+import { rateKey, unfilteredKey } from "../analysis/filters";
+
+// -----------------------------------------------------------------------------
+// 🧾 Telemetry schema: what each field is and how to show it
+// -----------------------------------------------------------------------------
+// One entry per field:
+//   { key, label, unit, precision, min, max, group, chart }
+// `precision` is decimals shown (null leaves the value as received), min/max
+// is the expected range (values outside it are highlighted), `group` picks
+// the panel it shows in and `chart` puts it on the live charts by default.
+//
+// A kit's own fields come from a JSON file or the device's /schema endpoint,
+// either a plain array of entries or { "fields": [...] }. They replace the
+// default device fields; the fields the dashboard computes itself are always
+// appended. Incoming keys the schema doesn't know still show up, under
+// "Other Fields".
+
+export const FIELD_GROUPS = {
+  sensors: "Telemetry Data",
+  gps: "📡 GPS & Time Data",
+  derived: "Derived Values",
+  other: "Other Fields",
+  system: null, // Tagged by the dashboard, shown by their own panels
+};
+
+const field = (key, label, unit = "", options = {}) => ({
+  key,
+  label,
+  unit,
+  precision: null,
+  min: null,
+  max: null,
+  group: "other",
+  chart: false,
+  ...options,
+});
+
+// What the stock firmware sends
+export const DEFAULT_DEVICE_FIELDS = [
+  field("altitude", "Altitude", "m", {
+    group: "sensors",
+    chart: true,
+    min: -100,
+    max: 5000,
+  }),
+  field("temperature", "Temperature", "°C", {
+    group: "sensors",
+    chart: true,
+    min: -40,
+    max: 85,
+  }),
+  field("pressure", "Pressure", "hPa", {
+    group: "sensors",
+    chart: true,
+    min: 300,
+    max: 1100,
+  }),
+  field("humidity", "Humidity", "%", {
+    group: "sensors",
+    chart: true,
+    min: 0,
+    max: 100,
+  }),
+  field("battery", "Battery", "%", {
+    group: "sensors",
+    chart: true,
+    min: 0,
+    max: 100,
+  }),
+  field("compass", "Compass", "", {
+    group: "sensors",
+    chart: true,
+    min: 0,
+    max: 360,
+  }),
+  field("latitude", "Latitude", "", { group: "gps", min: -90, max: 90 }),
+  field("longitude", "Longitude", "", { group: "gps", min: -180, max: 180 }),
+  field("satellites", "Satellites", "", { group: "gps", min: 0 }),
+  field("esp32Time", "ESP32 Time (UTC)", "", { group: "gps" }),
+];
+
+// Added by the dashboard to every sample
+export const APP_FIELDS = [
+  field("dashboardTime", "Dashboard Log Time", "", { group: "gps" }),
+  field("verticalSpeed", "Vertical Speed", "m/s", {
+    group: "derived",
+    chart: true,
+  }),
+  field("baroAltitude", "Baro Altitude", "m", {
+    group: "derived",
+    chart: true,
+  }),
+  field("dewPoint", "Dew Point", "°C", { group: "derived", chart: true }),
+  field("groundSpeed", "Ground Speed", "m/s", {
+    group: "derived",
+    chart: true,
+  }),
+  field("heading", "Heading", "°", { group: "derived" }),
+  field("flightPhase", "Flight Phase", "", { group: "system" }),
+  field("flightEvent", "Flight Event", "", { group: "system" }),
+  field("linkHealth", "Link Health", "", { group: "system" }),
+  field("linkRate", "Packet Rate", "Hz", { group: "system" }),
+  field("linkLatencyMs", "Link Latency", "ms", { group: "system" }),
+  field("packetGap", "Packet Gap", "s", { group: "system" }),
+  field("linkGap", "Link Gap", "s", { group: "system" }),
+  field("predictedLat", "Predicted Latitude", "", { group: "system" }),
+  field("predictedLon", "Predicted Longitude", "", { group: "system" }),
+  field("predictedRadius", "Prediction Radius", "m", { group: "system" }),
+];
+
+// Device fields first, then the dashboard's own unless the device redefines them
+export const buildSchema = (deviceFields = DEFAULT_DEVICE_FIELDS) => {
+  const keys = new Set(deviceFields.map((entry) => entry.key));
+  return [
+    ...deviceFields,
+    ...APP_FIELDS.filter((entry) => !keys.has(entry.key)),
+  ];
+};
+
+export const DEFAULT_SCHEMA = buildSchema();
+
+const optionalNumber = (value, name, key) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new Error(`Field "${key}": ${name} must be a number.`);
+  }
+  return value;
+};
+
+// -----------------------------------------------------------------------------
+// ✅ Check a loaded schema and fill in defaults; throws on anything unusable
+// -----------------------------------------------------------------------------
+export const normalizeSchema = (raw) => {
+  const entries = Array.isArray(raw) ? raw : raw?.fields;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Schema must be a list of fields or { "fields": [...] }.');
+  }
+
+  const seen = new Set();
+  return entries.map((entry) => {
+    const key = typeof entry === "string" ? entry : entry?.key;
+    if (typeof key !== "string" || !key.trim()) {
+      throw new Error("Every schema field needs a key.");
+    }
+    if (seen.has(key)) throw new Error(`Field "${key}" is listed twice.`);
+    seen.add(key);
+    // Fields a kit lists itself go with the sensors unless it says otherwise
+    if (typeof entry === "string") {
+      return field(key, key, "", { group: "sensors" });
+    }
+
+    const group = entry.group ?? "sensors";
+    if (!(group in FIELD_GROUPS)) {
+      throw new Error(
+        `Field "${key}": group must be one of ${Object.keys(FIELD_GROUPS).join(", ")}.`
+      );
+    }
+    const precision = optionalNumber(entry.precision, "precision", key);
+    if (
+      precision !== null &&
+      !(Number.isInteger(precision) && precision >= 0)
+    ) {
+      throw new Error(`Field "${key}": precision must be a whole number.`);
+    }
+
+    return field(key, String(entry.label ?? key), String(entry.unit ?? ""), {
+      precision,
+      min: optionalNumber(entry.min, "min", key),
+      max: optionalNumber(entry.max, "max", key),
+      group,
+      chart: Boolean(entry.chart),
+    });
+  });
+};
+
+export const readSchemaFile = async (file) => {
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON.`);
+  }
+  return normalizeSchema(raw);
+};
+
+// Firmware that describes itself serves its fields at http://<ip>/schema
+export const fetchDeviceSchema = async (ip) => {
+  const res = await axios.get(`http://${ip}/schema`, { timeout: 5000 });
+  return normalizeSchema(res.data);
+};
+
+// -----------------------------------------------------------------------------
+// 🔍 Lookups and formatting
+// -----------------------------------------------------------------------------
+// Readings kept next to their calibrated or filtered values, and the rates a
+// Kalman filter estimates (in the field's unit per second)
+const COMPANION_FIELDS = [
+  { key: rawKey, note: "raw" },
+  { key: unfilteredKey, note: "unfiltered" },
+  { key: rateKey, note: "rate", perSecond: true },
+];
+
+const companionField = (schema, key) => {
+  for (const companion of COMPANION_FIELDS) {
+    const base = schema.find((entry) => companion.key(entry.key) === key);
+    if (base) {
+      return {
+        ...base,
+        key,
+        label: `${base.label} (${companion.note})`,
+        group: "system",
+        chart: false,
+        // A rate has its own unit, and the field's range doesn't apply to it
+        ...(companion.perSecond && {
+          unit: base.unit && `${base.unit}/s`,
+          min: null,
+          max: null,
+        }),
+      };
+    }
+  }
+  return null;
+};
+
+// The schema plus an "other" entry for every key in `sample` it doesn't know.
+// Raw and unfiltered readings borrow their field's label and unit and stay
+// out of the readouts.
+export const withUnknownFields = (schema, sample) => {
+  const keys = new Set(schema.map((entry) => entry.key));
+  const extra = Object.keys(sample)
+    .filter((key) => !keys.has(key))
+    .map((key) => companionField(schema, key) ?? field(key, key));
+  return extra.length ? [...schema, ...extra] : schema;
+};
+
+export const findField = (schema, key) =>
+  schema.find((entry) => entry.key === key) ?? null;
+
+export const isMissing = (value) =>
+  value === undefined || value === null || value === "";
+
+// Value with its unit at the field's precision, "..." while there is none
+export const formatValue = (entry, value) => {
+  if (isMissing(value)) return "...";
+  const number = Number(value);
+  const text =
+    entry.precision !== null && Number.isFinite(number)
+      ? number.toFixed(entry.precision)
+      : String(value);
+  return entry.unit ? `${text} ${entry.unit}` : text;
+};
+
+export const isOutOfRange = (entry, value) => {
+  if (isMissing(value)) return false;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return false;
+  return (
+    (entry.min !== null && number < entry.min) ||
+    (entry.max !== null && number > entry.max)
+  );
+};
@@ -0,0 +1,73 @@
+import { createHttpSource } from "./httpSource";
+import { createBleSource } from "./bleSource";
+import { createWebSocketSource, createSseSource } from "./streamSource";
+import { createSerialSource } from "./serialSource";
+import { createReplaySource } from "./replaySource";
+import { createSimulatorSource } from "./simulatorSource";
+
+// -----------------------------------------------------------------------------
+// 🔌 Telemetry source registry
+// -----------------------------------------------------------------------------
+// Every transport returns the same shape so dashboards never care which one
+// is active:
+//
+//   {
+//     type,                     // registry key, e.g. "http"
+//     connect(),                // Promise, rejects if the link can't be opened
+//     disconnect(),             // Promise, always safe to call
+//     send(command),            // Promise, pushes a command string uplink
+//     on(event, handler),       // returns an unsubscribe function
+//   }
+//
+// Events: "sample" (parsed packet object), "reject" (a frame the packet parser
+// refused, with the reason), "status" ("connecting" | "connected" |
+// "disconnected") and "error" (non-fatal, e.g. a failed poll). Polled sources
+// also emit "request" ({ ok, latencyMs }) for every poll, for link statistics.
+// Sources that can reopen themselves emit "lost" when the link drops on its
+// own; calling connect() again then reconnects without any user prompt.
+//
+// `fallback` names the transport to try when this one can't be opened, so an
+// ESP32 firmware without a streaming endpoint still works over polling. The
+// `needs*` and `polled` flags say which connection settings apply.
+export const TRANSPORTS = {
+  http: {
+    label: "WiFi (HTTP)",
+    create: createHttpSource,
+    needsIp: true,
+    polled: true,
+  },
+  ws: {
+    label: "WiFi (WebSocket)",
+    create: createWebSocketSource,
+    needsIp: true,
+    fallback: "http",
+  },
+  sse: {
+    label: "WiFi (SSE)",
+    create: createSseSource,
+    needsIp: true,
+    fallback: "http",
+  },
+  ble: { label: "Bluetooth (BLE)", create: createBleSource, needsBle: true },
+  serial: {
+    label: "USB Serial (LoRa/XBee)",
+    create: createSerialSource,
+    needsBaudRate: true,
+  },
+  replay: {
+    label: "Replay (CSV log)",
+    create: createReplaySource,
+    needsFile: true,
+  },
+  sim: {
+    label: "Simulator (in-browser)",
+    create: createSimulatorSource,
+    needsFaults: true,
+  },
+};
+
+export const createTelemetrySource = (type, options) => {
+  const transport = TRANSPORTS[type];
+  if (!transport) throw new Error(`Unknown transport: ${type}`);
+  return transport.create(options);
+};
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { TRANSPORTS } from "./transports";
+import { DEFAULT_BAUD_RATE } from "./serialSource";
+import {
+  BLE_CHARACTERISTIC_UUID,
+  BLE_NAME_PREFIX,
+  BLE_SERVICE_UUID,
+} from "./bleSource";
+import { DEFAULT_PACKET_FORMAT } from "./packetParser";
+import { readReplayFile } from "./replaySource";
+import { DEFAULT_FAULTS } from "../simulator/flightModel";
+
+const LAST_LINK_KEY = "cansat.lastLink";
+
+export const DEFAULT_LINK_SETTINGS = {
+  transportType: "http", // Selected link
+  ip: "", // ESP32 IP address
+  port: "", // Empty for the default port
+  pollIntervalMs: 1000, // HTTP polling
+  baudRate: DEFAULT_BAUD_RATE, // Serial speed
+  packetFormat: DEFAULT_PACKET_FORMAT, // Text frame layout, team ID
+  simFaults: DEFAULT_FAULTS, // Simulator faults
+  ble: {
+    serviceUUID: BLE_SERVICE_UUID,
+    characteristicUUID: BLE_CHARACTERISTIC_UUID,
+    namePrefix: BLE_NAME_PREFIX, // Device picker filter
+  },
+};
+
+// Settings of the last link that opened, so the form isn't empty on reload
+export const loadLastLink = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LAST_LINK_KEY));
+    return { ...DEFAULT_LINK_SETTINGS, ...stored };
+  } catch {
+    return DEFAULT_LINK_SETTINGS;
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 🌐 React Hook: link settings and the Connect/Disconnect action
+// -----------------------------------------------------------------------------
+// `connect`/`disconnect` come from useTelemetry and `linked` says whether the
+// link is up or being retried. Failures are reported with alert(), like the
+// rest of the dashboard's user actions. Without `initialSettings` the form
+// starts from the last link that opened; `onSettingsChange` lets a caller keep
+// the settings elsewhere too, e.g. per saved device.
+const useConnectionForm = ({
+  connect,
+  disconnect,
+  linked,
+  initialSettings,
+  onSettingsChange,
+}) => {
+  const [settings, setSettings] = useState(() =>
+    initialSettings
+      ? { ...DEFAULT_LINK_SETTINGS, ...initialSettings }
+      : loadLastLink()
+  );
+  const [replayFile, setReplayFile] = useState(null); // CSV log to replay
+  const { transportType, ip, port, baudRate, packetFormat, simFaults } =
+    settings;
+
+  const update = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    onSettingsChange?.(next);
+  };
+
+  const toggleConnection = async () => {
+    if (linked) {
+      await disconnect();
+      return;
+    }
+
+    try {
+      const rows = TRANSPORTS[transportType].needsFile
+        ? await readReplayFile(replayFile)
+        : undefined;
+      const used = await connect(transportType, {
+        ip: port ? `${ip}:${port}` : ip,
+        intervalMs: settings.pollIntervalMs,
+        baudRate,
+        packetFormat,
+        rows,
+        faults: simFaults,
+        ...settings.ble,
+      });
+      localStorage.setItem(LAST_LINK_KEY, JSON.stringify(settings));
+      if (used !== transportType) {
+        alert(
+          `${TRANSPORTS[transportType].label} unavailable, using ${TRANSPORTS[used].label}.`
+        );
+      }
+    } catch (err) {
+      console.error("Connection error:", err);
+      alert(
+        TRANSPORTS[transportType].needsIp
+          ? "Connection failed. Check IP and network."
+          : `${TRANSPORTS[transportType].label} failed: ${err.message}`
+      );
+    }
+  };
+
+  return {
+    ...settings,
+    setIp: (value) => update({ ip: value }),
+    setPort: (value) => update({ port: value }),
+    setPollIntervalMs: (value) => update({ pollIntervalMs: value }),
+    setBle: (value) => update({ ble: value }),
+    setTransportType: (value) => update({ transportType: value }),
+    setBaudRate: (value) => update({ baudRate: value }),
+    setPacketFormat: (value) => update({ packetFormat: value }),
+    setSimFaults: (value) => update({ simFaults: value }),
+    setReplayFile,
+    applySettings: update, // Several at once, e.g. from a profile
+    toggleConnection,
+  };
+};
+
+export default useConnectionForm;
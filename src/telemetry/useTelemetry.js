@@ -0,0 +1,638 @@
+import { useState, useEffect, useRef } from "react";
+import { createTelemetrySource, TRANSPORTS } from "./transports";
+import {
+  createSession,
+  createSessionWriter,
+  closeSession,
+  findActiveSession,
+  getSessionSamples,
+  setSessionNotes,
+  setSessionProcessing,
+} from "../storage/flightDb";
+import {
+  DEFAULT_PHASE_CONFIG,
+  initialPhaseState,
+  updateFlightPhase,
+} from "../analysis/flightPhase";
+import {
+  DEFAULT_REFERENCE_PRESSURE,
+  deriveSample,
+  initialDerivedState,
+} from "../analysis/derived";
+import {
+  applyCalibration,
+  DEFAULT_CALIBRATION,
+  normalizeCalibration,
+  zeroGround,
+} from "../analysis/calibration";
+import {
+  filterSample,
+  initialFilterState,
+  normalizeFilters,
+  withoutFilters,
+} from "../analysis/filters";
+import {
+  initialLandingState,
+  updateLandingPrediction,
+} from "../analysis/landingPrediction";
+import { createLinkMonitor, IDLE_LINK_STATS } from "./linkMonitor";
+import { createNote, sortNotes } from "../notes/notes";
+
+const MAX_REJECTED_FRAMES = 50;
+const MAX_SAMPLES = 20000; // Chart buffer: ~5.5 h at 1 Hz, ~16 min at 20 Hz
+const LINK_STATS_INTERVAL_MS = 1000;
+const RECONNECT_BASE_MS = 1000; // First retry, doubled after every failure
+const RECONNECT_MAX_MS = 30000;
+const CALIBRATION_KEY = "cansat.calibration"; // { [deviceId]: calibration }
+const FILTERS_KEY = "cansat.filters"; // { [deviceId]: filters }
+const REFERENCE_PRESSURE_KEY = "cansat.referencePressure"; // Before calibration
+
+// Settings kept per kit; the single-device dashboards share "default"
+const loadPerDevice = (storageKey) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const savePerDevice = (storageKey, deviceId, value) =>
+  localStorage.setItem(
+    storageKey,
+    JSON.stringify({
+      ...loadPerDevice(storageKey),
+      [deviceId ?? "default"]: value,
+    })
+  );
+
+const loadCalibration = (deviceId) => {
+  const stored = loadPerDevice(CALIBRATION_KEY)[deviceId ?? "default"];
+  if (stored) return normalizeCalibration(stored);
+  return {
+    ...DEFAULT_CALIBRATION,
+    referencePressure:
+      Number(localStorage.getItem(REFERENCE_PRESSURE_KEY)) ||
+      DEFAULT_REFERENCE_PRESSURE,
+  };
+};
+
+// -----------------------------------------------------------------------------
+// 🛰️ React Hook: connect, latest sample, logging and reset for any transport
+// -----------------------------------------------------------------------------
+// With several kits on one page each gets its own hook; `deviceId` keeps their
+// flight sessions apart and `deviceName` prefixes the session names.
+// `dashboard` does the same for the single-kit dashboards, so opening one never
+// resumes a flight another one was logging.
+const useTelemetry = ({
+  deviceId = null,
+  deviceName = null,
+  dashboard = null,
+} = {}) => {
+  const [status, setStatus] = useState("disconnected"); // Link status
+  const [transport, setTransport] = useState(null); // Active transport key
+  const [sensorData, setSensorData] = useState({}); // Latest sample
+  const [logData, setLogData] = useState([]); // Historical log
+  const [samples, setSamples] = useState([]); // Every sample, logging or not
+  const [isLogging, setIsLogging] = useState(false); // Logging toggle
+  const [rejectedFrames, setRejectedFrames] = useState([]); // Recent bad frames
+  const [rejectedCount, setRejectedCount] = useState(0); // Bad frames total
+  const [session, setSession] = useState(null); // Flight session being logged
+  const [linkError, setLinkError] = useState(null); // Last transport error
+  const [flight, setFlight] = useState(initialPhaseState); // Phase + events
+  const [phaseConfig, setPhaseConfigState] = useState(DEFAULT_PHASE_CONFIG);
+  const [linkStats, setLinkStats] = useState(IDLE_LINK_STATS); // Link health
+  const [reconnecting, setReconnecting] = useState(null); // { attempt, retryAt }
+  const [calibration, setCalibrationState] = useState(() =>
+    loadCalibration(deviceId)
+  ); // Ground level and sensor corrections
+  const [filters, setFiltersState] = useState(() =>
+    normalizeFilters(loadPerDevice(FILTERS_KEY)[deviceId ?? "default"])
+  ); // Per-field smoothing
+  const [landingPrediction, setLandingPrediction] = useState(null); // During descent
+  const [notes, setNotesState] = useState([]); // Operator notes, oldest first
+
+  const [activeSource, setActiveSource] = useState(null); // For replay controls
+  const sourceRef = useRef(null); // Active telemetry source
+  const unsubscribeRef = useRef([]); // Event listener cleanups
+  const loggingRef = useRef(false); // 🔄 Keeps logging state current in callbacks
+  const writerRef = useRef(null); // IndexedDB writer for the active session
+  const flightRef = useRef(flight); // Phase detector state, current in callbacks
+  const phaseConfigRef = useRef(phaseConfig);
+  const monitorRef = useRef(createLinkMonitor()); // Link quality statistics
+  const reconnectTimerRef = useRef(null); // Set while a dropped link is retried
+  const gapStartRef = useRef(null); // ms of the last sample before a drop
+  const derivedRef = useRef(initialDerivedState()); // Derived-field history
+  const calibrationRef = useRef(calibration);
+  const filtersRef = useRef(filters);
+  const filterStateRef = useRef(initialFilterState()); // Filter windows
+  const landingRef = useRef(initialLandingState()); // Recent fixes for drift
+  const notesRef = useRef(notes); // Current in hotkey handlers
+  const sessionIdRef = useRef(null); // Session being logged or reviewed
+
+  // 🚦 Run the phase detector and tag the sample with the phase and any event
+  // (every sample, so each logged row says which phase it belongs to)
+  const trackPhase = (sample) => {
+    const before = flightRef.current;
+    const after = updateFlightPhase(before, sample, phaseConfigRef.current);
+    flightRef.current = after;
+    setFlight(after);
+    const tagged = { ...sample, flightPhase: after.phase };
+    const newEvents = after.events.slice(before.events.length);
+    if (newEvents.length > 0) {
+      tagged.flightEvent = newEvents.map((e) => e.message).join("; ");
+    }
+    return tagged;
+  };
+
+  // 🎯 Predicted landing point while descending, saved with every sample
+  const predictLanding = (sample) => {
+    const next = updateLandingPrediction(
+      landingRef.current,
+      sample,
+      flightRef.current
+    );
+    landingRef.current = next;
+    setLandingPrediction(next.prediction);
+    if (!next.prediction) return sample;
+
+    const { lat, lon, radius } = next.prediction;
+    return {
+      ...sample,
+      predictedLat: lat.toFixed(6),
+      predictedLon: lon.toFixed(6),
+      predictedRadius: radius.toFixed(0),
+    };
+  };
+
+  // Rebuild phase state from scratch, e.g. after a replay seek or a resume
+  const rebuildPhase = (rows, config = phaseConfigRef.current) => {
+    const rebuilt = rows.reduce(
+      (state, row) => updateFlightPhase(state, row, config),
+      initialPhaseState()
+    );
+    flightRef.current = rebuilt;
+    setFlight(rebuilt);
+  };
+
+  // New thresholds apply to the whole flight so far, not just what comes next
+  const setPhaseConfig = (config) => {
+    phaseConfigRef.current = config;
+    setPhaseConfigState(config);
+    rebuildPhase(samples, config);
+  };
+
+  // 🧮 Vertical speed, barometric altitude, dew point, ground speed, heading
+  const derive = (sample) => {
+    const { state, fields } = deriveSample(
+      derivedRef.current,
+      sample,
+      calibrationRef.current.referencePressure
+    );
+    derivedRef.current = state;
+    return { ...sample, ...fields };
+  };
+
+  // Calibration and filters also go on the session being logged, so exports
+  // say how the values were processed
+  const saveToSession = (changes) => {
+    const sessionId = writerRef.current?.sessionId;
+    if (sessionId === undefined) return;
+    setSession((prev) => ({ ...prev, ...changes }));
+    setSessionProcessing(sessionId, changes).catch((err) =>
+      console.warn("Could not save settings with the session:", err)
+    );
+  };
+
+  // 🎚️ Ground level and sensor corrections
+  const setCalibration = (next) => {
+    calibrationRef.current = next;
+    setCalibrationState(next);
+    savePerDevice(CALIBRATION_KEY, deviceId, next);
+    saveToSession({ calibration: next });
+  };
+
+  const setReferencePressure = (hPa) =>
+    setCalibration({ ...calibrationRef.current, referencePressure: hPa });
+
+  // Zero the altitude from the last few seconds of pad readings; throws when
+  // there aren't enough of them
+  const calibrateGround = () =>
+    setCalibration(zeroGround(calibrationRef.current, samples));
+
+  // 🧽 Smoothing and spike rejection; the filters start over from the next
+  // sample
+  const setFilters = (next) => {
+    filtersRef.current = next;
+    filterStateRef.current = initialFilterState();
+    setFiltersState(next);
+    savePerDevice(FILTERS_KEY, deviceId, next);
+    saveToSession({ filters: next });
+  };
+
+  const filter = (sample) => {
+    const { state, sample: filtered } = filterSample(
+      filterStateRef.current,
+      sample,
+      filtersRef.current
+    );
+    filterStateRef.current = state;
+    return filtered;
+  };
+
+  // ---------------------------------------------------------------------------
+  // 📝 Notes: kept on the session being logged or reviewed, so they can still
+  // be edited after the flight
+  // ---------------------------------------------------------------------------
+  const setNotes = (next) => {
+    const sorted = sortNotes(next);
+    notesRef.current = sorted;
+    setNotesState(sorted);
+    const sessionId = sessionIdRef.current;
+    if (sessionId === null) return;
+    setSession((prev) => ({ ...prev, notes: sorted }));
+    setSessionNotes(sessionId, sorted).catch((err) =>
+      console.warn("Could not save notes with the session:", err)
+    );
+  };
+
+  // Stamped with the time and the latest sample
+  const addNote = (text) =>
+    setNotes([...notesRef.current, createNote(text, sensorData)]);
+
+  const updateNote = (id, changes) =>
+    setNotes(
+      notesRef.current.map((note) =>
+        note.id === id ? { ...note, ...changes } : note
+      )
+    );
+
+  const deleteNote = (id) =>
+    setNotes(notesRef.current.filter((note) => note.id !== id));
+
+  // A stored session brings its own notes
+  const showSession = (stored) => {
+    sessionIdRef.current = stored?.id ?? null;
+    notesRef.current = stored?.notes ?? [];
+    setNotesState(notesRef.current);
+    setSession(stored);
+  };
+
+  // 📶 Link statistics at the moment a sample arrived, for the log
+  const linkFields = (sample) => {
+    const packetGap = monitorRef.current.recordSample(sample);
+    const stats = monitorRef.current.snapshot();
+    return {
+      linkHealth: stats.health,
+      linkRate: stats.packetsPerSecond?.toFixed(1) ?? "",
+      linkLatencyMs: stats.latencyMs?.toFixed(0) ?? "",
+      packetGap,
+      linkGap: gapSeconds(),
+    };
+  };
+
+  // Seconds without data, on the first sample after a reconnect
+  const gapSeconds = () => {
+    if (gapStartRef.current === null) return "";
+    const seconds = (Date.now() - gapStartRef.current) / 1000;
+    gapStartRef.current = null;
+    return seconds.toFixed(1);
+  };
+
+  // Calibration, filters, derived fields, flight phase and landing point
+  const processSample = (received) =>
+    predictLanding(
+      trackPhase(
+        derive(filter(applyCalibration(calibrationRef.current, received)))
+      )
+    );
+
+  const handleSample = (sample) => {
+    // Replayed rows keep the time and link statistics they were recorded
+    // with, but go through the current calibration and filters again
+    const received = {
+      ...linkFields(sample),
+      ...withoutFilters(sample),
+      dashboardTime: sample.dashboardTime ?? new Date().toISOString(),
+    };
+    const timestampedData = processSample(received);
+
+    setSensorData(timestampedData); // Always show latest
+    setSamples((prev) =>
+      prev.length >= MAX_SAMPLES
+        ? [...prev.slice(1), timestampedData]
+        : [...prev, timestampedData]
+    );
+
+    if (loggingRef.current) {
+      setLogData((prev) => [...prev, timestampedData]); // Only log if active
+      writerRef.current?.push(timestampedData); // Survives reloads and crashes
+    }
+  };
+
+  const handleReject = (rejected) => {
+    monitorRef.current.recordFailure();
+    setRejectedCount((prev) => prev + 1);
+    setRejectedFrames((prev) =>
+      [rejected, ...prev].slice(0, MAX_REJECTED_FRAMES)
+    );
+  };
+
+  // ⏮️ Replay jumped: rebuild the chart history up to the new position from
+  // scratch, the same way the rows would have come in live
+  const handleSeek = (history) => {
+    monitorRef.current.reset(); // A jump is not packet loss
+    derivedRef.current = initialDerivedState();
+    filterStateRef.current = initialFilterState();
+    landingRef.current = initialLandingState();
+    flightRef.current = initialPhaseState();
+    setFlight(flightRef.current);
+    setLandingPrediction(null);
+    const processed = history.map((row) => processSample(withoutFilters(row)));
+    setSamples(processed.slice(-MAX_SAMPLES));
+    setSensorData(processed[processed.length - 1] ?? {});
+  };
+
+  const stopReconnecting = () => {
+    clearTimeout(reconnectTimerRef.current);
+    reconnectTimerRef.current = null;
+    setReconnecting(null);
+  };
+
+  const detach = () => {
+    stopReconnecting();
+    unsubscribeRef.current.forEach((unsubscribe) => unsubscribe());
+    unsubscribeRef.current = [];
+    sourceRef.current = null;
+    setActiveSource(null);
+    monitorRef.current.stop();
+  };
+
+  // ---------------------------------------------------------------------------
+  // 🔁 Reconnect: the link dropped on its own, retry with exponential backoff
+  // ---------------------------------------------------------------------------
+  // The source object is reused, so logging simply carries on once packets
+  // flow again; the first one afterwards records how long the gap was.
+  const scheduleReconnect = (source, attempt) => {
+    const delayMs = Math.min(
+      RECONNECT_BASE_MS * 2 ** attempt,
+      RECONNECT_MAX_MS
+    );
+    reconnectTimerRef.current = setTimeout(async () => {
+      try {
+        await source.connect();
+      } catch (err) {
+        if (sourceRef.current !== source) return;
+        console.warn(`Reconnect attempt ${attempt + 1} failed:`, err);
+        scheduleReconnect(source, attempt + 1);
+        return;
+      }
+      // Disconnect was pressed while this attempt was under way
+      if (sourceRef.current !== source) {
+        await source.disconnect();
+        return;
+      }
+      stopReconnecting();
+      setStatus("connected");
+    }, delayMs);
+    setReconnecting({ attempt: attempt + 1, retryAt: Date.now() + delayMs });
+  };
+
+  const handleLost = (source) => (err) => {
+    console.warn(`${source.type} link lost, reconnecting:`, err);
+    const { sinceLastSampleMs } = monitorRef.current.snapshot();
+    gapStartRef.current ??= Date.now() - (sinceLastSampleMs ?? 0);
+    setStatus("reconnecting");
+    scheduleReconnect(source, 0);
+  };
+
+  // ---------------------------------------------------------------------------
+  // 🔌 Connect / Disconnect
+  // ---------------------------------------------------------------------------
+  const open = async (type, options) => {
+    setLinkError(null);
+    monitorRef.current.reset();
+    gapStartRef.current = null;
+    derivedRef.current = initialDerivedState();
+    filterStateRef.current = initialFilterState();
+    landingRef.current = initialLandingState();
+    const source = createTelemetrySource(type, options);
+    sourceRef.current = source;
+    setActiveSource(source);
+    setTransport(type);
+    unsubscribeRef.current = [
+      source.on("sample", handleSample),
+      source.on("seek", handleSeek),
+      source.on("reject", handleReject),
+      source.on("request", monitorRef.current.recordRequest),
+      source.on("lost", handleLost(source)),
+      // While retrying, the attempts' own connecting/disconnected flicker is
+      // hidden behind "reconnecting"
+      source.on("status", (next) => {
+        if (!reconnectTimerRef.current) setStatus(next);
+      }),
+      source.on("error", (err) => {
+        console.error(`${type} error:`, err);
+        setLinkError({ message: err.message ?? String(err), time: Date.now() });
+      }),
+    ];
+
+    try {
+      await source.connect();
+    } catch (err) {
+      detach();
+      setTransport(null);
+      setStatus("disconnected");
+      throw err;
+    }
+  };
+
+  // Resolves with the transport actually in use, which differs from `type`
+  // when a streaming link had to fall back to polling.
+  const connect = async (type, options) => {
+    try {
+      await open(type, options);
+      return type;
+    } catch (err) {
+      const fallback = TRANSPORTS[type]?.fallback;
+      if (!fallback) throw err;
+      console.warn(`${type} unavailable, falling back to ${fallback}:`, err);
+      await open(fallback, options);
+      return fallback;
+    }
+  };
+
+  const disconnect = async () => {
+    const source = sourceRef.current;
+    if (!source) return;
+    stopReconnecting();
+    await source.disconnect();
+    detach();
+    setTransport(null);
+    setSensorData({});
+  };
+
+  const sendCommand = async (command) => {
+    if (!sourceRef.current) throw new Error("Not connected.");
+    await sourceRef.current.send(command);
+  };
+
+  // 🧹 Close the link and flush the log when the dashboard unmounts
+  const closeAll = () => {
+    sourceRef.current?.disconnect();
+    detach();
+    writerRef.current?.close();
+  };
+  const closeAllRef = useRef(closeAll);
+  closeAllRef.current = closeAll;
+  useEffect(() => () => closeAllRef.current(), []);
+
+  // ⏱️ Refresh link statistics even when nothing arrives, so staleness shows
+  useEffect(() => {
+    setLinkStats(monitorRef.current.snapshot());
+    if (!activeSource) return;
+    const intervalId = setInterval(
+      () => setLinkStats(monitorRef.current.snapshot()),
+      LINK_STATS_INTERVAL_MS
+    );
+    return () => clearInterval(intervalId);
+  }, [activeSource]);
+
+  // ---------------------------------------------------------------------------
+  // 🟢 Logging
+  // ---------------------------------------------------------------------------
+  const beginLogging = (activeSession, rows = []) => {
+    writerRef.current = activeSession
+      ? createSessionWriter(activeSession.id)
+      : null;
+    // Without storage the notes taken so far simply stay in memory
+    if (activeSession) showSession(activeSession);
+    else setSession(null);
+    setLogData(rows);
+    setIsLogging(true);
+    loggingRef.current = true;
+  };
+
+  const startLogging = async (name) => {
+    if (loggingRef.current) return;
+    let created = null;
+    try {
+      created = await createSession({
+        name:
+          name ||
+          [deviceName, `Flight ${new Date().toLocaleString()}`]
+            .filter(Boolean)
+            .join(" · "),
+        transport,
+        deviceId,
+        dashboard,
+        calibration: calibrationRef.current,
+        filters: filtersRef.current,
+        notes: notesRef.current, // Taken before logging started
+      });
+    } catch (err) {
+      // Private browsing can block IndexedDB; keep logging in memory
+      console.warn("Flight log will not be persisted:", err);
+    }
+    beginLogging(created, logData);
+  };
+
+  // ♻️ Pick up a session that was still logging when the page went away
+  const resume = async (isCancelled) => {
+    const active = await findActiveSession(deviceId, dashboard);
+    if (!active || isCancelled()) return;
+    const rows = await getSessionSamples(active.id);
+    if (isCancelled()) return;
+    beginLogging(active, rows);
+    setSamples(rows.slice(-MAX_SAMPLES));
+    rebuildPhase(rows);
+  };
+  const resumeRef = useRef(resume);
+  resumeRef.current = resume;
+  // Once: a hook instance belongs to one device for its whole life
+  useEffect(() => {
+    let cancelled = false;
+    resumeRef
+      .current(() => cancelled)
+      .catch((err) => console.warn("Could not resume flight log:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // 📂 Load a stored session for review (stops any logging in progress)
+  const openSession = async (stored) => {
+    await stopLogging();
+    const rows = await getSessionSamples(stored.id);
+    showSession(stored);
+    setLogData(rows);
+    setSamples(rows.slice(-MAX_SAMPLES));
+    setSensorData(rows[rows.length - 1] ?? {});
+    rebuildPhase(rows);
+  };
+
+  const stopLogging = async () => {
+    const writer = writerRef.current;
+    writerRef.current = null;
+    setIsLogging(false);
+    loggingRef.current = false;
+    if (!writer) return;
+    await writer.close();
+    await closeSession(writer.sessionId);
+  };
+
+  // 🔄 Reset everything
+  const reset = async () => {
+    await stopLogging().catch((err) =>
+      console.error("Could not close flight session:", err)
+    );
+    showSession(null);
+    setLogData([]);
+    setSensorData({});
+    setSamples([]);
+    setRejectedFrames([]);
+    setRejectedCount(0);
+    rebuildPhase([]);
+    setLandingPrediction(null);
+  };
+
+  return {
+    status,
+    connected: status === "connected",
+    reconnecting,
+    transport,
+    source: activeSource,
+    sensorData,
+    logData,
+    samples,
+    isLogging,
+    session,
+    linkError,
+    linkStats,
+    referencePressure: calibration.referencePressure,
+    setReferencePressure,
+    calibration,
+    setCalibration,
+    filters,
+    setFilters,
+    notes,
+    addNote,
+    updateNote,
+    deleteNote,
+    calibrateGround,
+    landingPrediction,
+    flight,
+    phaseConfig,
+    setPhaseConfig,
+    rejectedFrames,
+    rejectedCount,
+    connect,
+    disconnect,
+    sendCommand,
+    startLogging,
+    stopLogging,
+    openSession,
+    reset,
+  };
+};
+
+export default useTelemetry;
@@ -0,0 +1,60 @@
+import { useState } from "react";
+import {
+  buildSchema,
+  fetchDeviceSchema,
+  normalizeSchema,
+  readSchemaFile,
+} from "./telemetrySchema";
+
+const STORAGE_KEY = "cansat.schema";
+
+// Stored as { fields, source }; a broken entry falls back to the defaults
+const loadStored = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored) {
+      return { fields: normalizeSchema(stored.fields), source: stored.source };
+    }
+  } catch {
+    // Fall through to the default schema
+  }
+  return null;
+};
+
+// -----------------------------------------------------------------------------
+// 🧾 React Hook: the telemetry schema in use, kept across reloads
+// -----------------------------------------------------------------------------
+// The loaders throw with a readable message when the schema is unusable, and
+// leave the current one in place.
+const useTelemetrySchema = () => {
+  const [custom, setCustom] = useState(loadStored); // { fields, source } or null
+
+  const apply = (fields, source) => {
+    const next = { fields, source };
+    setCustom(next);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  };
+
+  const loadFile = async (file) => {
+    apply(await readSchemaFile(file), file.name);
+  };
+
+  const fetchFromDevice = async (ip) => {
+    apply(await fetchDeviceSchema(ip), `device ${ip}`);
+  };
+
+  const resetSchema = () => {
+    setCustom(null);
+    localStorage.removeItem(STORAGE_KEY);
+  };
+
+  return {
+    schema: buildSchema(custom?.fields),
+    schemaSource: custom?.source ?? null, // null while on the defaults
+    loadFile,
+    fetchFromDevice,
+    resetSchema,
+  };
+};
+
+export default useTelemetrySchema;
@@ -0,0 +1,62 @@
+import { toValue } from "../telemetry/packetParser";
+
+// -----------------------------------------------------------------------------
+// 📄 Utility Function: Parse CSV text into row objects keyed by header
+// -----------------------------------------------------------------------------
+// Handles quoted cells with commas, doubled quotes and CRLF line endings.
+// Numeric cells become numbers, empty cells are left out of the row. Leading
+// "# key: value" lines (export metadata) are skipped.
+export const parseCsv = (input) => {
+  // Metadata is free text: drop it before tokenising, so a stray quote in a
+  // session name or note can't open a cell that swallows the header row
+  const text = input.replace(/^(?:(?:#[^\r\n]*)?(?:\r\n|\r|\n|$))+/, "");
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
+
+  const lines = records.filter((r) => !(r.length === 1 && r[0].trim() === ""));
+  const [headers = [], ...body] = lines;
+  const rows = body.map((values) => {
+    const row = {};
+    headers.forEach((header, i) => {
+      if (values[i] !== undefined && values[i] !== "") {
+        row[header.trim()] = toValue(values[i]);
+      }
+    });
+    return row;
+  });
+
+  return { headers: headers.map((h) => h.trim()), rows };
+};
@@ -0,0 +1,13 @@
+// -----------------------------------------------------------------------------
+// 💾 Utility Function: Save text content as a downloaded file
+// -----------------------------------------------------------------------------
+export const downloadFile = (content, filename, type = "text/plain") => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.setAttribute("download", filename);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+};
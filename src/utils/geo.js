@@ -0,0 +1,89 @@
+// -----------------------------------------------------------------------------
+// 🌍 Geo helpers: GPS fix validation, Web Mercator projection, distances
+// -----------------------------------------------------------------------------
+
+export const TILE_SIZE = 256;
+const EARTH_RADIUS_M = 6371000;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// GPS modules report 0,0 (or nothing) until they have a fix
+export const isValidFix = (sample) => {
+  const lat = Number(sample?.latitude);
+  const lon = Number(sample?.longitude);
+  return (
+    Number.isFinite(lat) &&
+    Number.isFinite(lon) &&
+    Math.abs(lat) <= 90 &&
+    Math.abs(lon) <= 180 &&
+    !(lat === 0 && lon === 0)
+  );
+};
+
+export const toFix = (sample) => ({
+  lat: Number(sample.latitude),
+  lon: Number(sample.longitude),
+  altitude: Number(sample.altitude),
+  time: sample.dashboardTime,
+});
+
+// ---------------------------------------------------------------------------
+// 🗺️ Web Mercator: degrees ↔ world pixels at a given zoom level
+// ---------------------------------------------------------------------------
+const worldSize = (zoom) => TILE_SIZE * 2 ** zoom;
+
+export const lonToWorldX = (lon, zoom) => ((lon + 180) / 360) * worldSize(zoom);
+
+export const latToWorldY = (lat, zoom) => {
+  const rad = toRad(lat);
+  return (
+    ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) *
+    worldSize(zoom)
+  );
+};
+
+export const worldXToLon = (x, zoom) => (x / worldSize(zoom)) * 360 - 180;
+
+export const worldYToLat = (y, zoom) => {
+  const n = Math.PI - (2 * Math.PI * y) / worldSize(zoom);
+  return (180 / Math.PI) * Math.atan(Math.sinh(n));
+};
+
+export const metersPerPixel = (lat, zoom) =>
+  (2 * Math.PI * EARTH_RADIUS_M * Math.cos(toRad(lat))) / worldSize(zoom);
+
+// Great-circle distance in metres
+export const haversineDistance = (a, b) => {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+};
+
+// Initial great-circle bearing from a to b, degrees clockwise from north
+export const bearing = (a, b) => {
+  const dLon = toRad(b.lon - a.lon);
+  const y = Math.sin(dLon) * Math.cos(toRad(b.lat));
+  const x =
+    Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) -
+    Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// ---------------------------------------------------------------------------
+// 📍 Local east/north metres around a reference point (fine over a few km)
+// ---------------------------------------------------------------------------
+const METERS_PER_DEG_LAT = (Math.PI * EARTH_RADIUS_M) / 180;
+
+export const toLocalMeters = (origin, point) => ({
+  east:
+    (point.lon - origin.lon) * METERS_PER_DEG_LAT * Math.cos(toRad(origin.lat)),
+  north: (point.lat - origin.lat) * METERS_PER_DEG_LAT,
+});
+
+export const fromLocalMeters = (origin, { east, north }) => ({
+  lat: origin.lat + north / METERS_PER_DEG_LAT,
+  lon: origin.lon + east / (METERS_PER_DEG_LAT * Math.cos(toRad(origin.lat))),
+});
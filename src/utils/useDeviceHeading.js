@@ -0,0 +1,51 @@
+import { useEffect, useState } from "react";
+
+// Compass heading of the phone from an orientation event, degrees from north
+const headingOf = (event) => {
+  if (typeof event.webkitCompassHeading === "number") {
+    return event.webkitCompassHeading; // iOS Safari
+  }
+  if (event.absolute && typeof event.alpha === "number") {
+    return (360 - event.alpha) % 360;
+  }
+  return null;
+};
+
+// -----------------------------------------------------------------------------
+// 🧭 React Hook: which way the phone points, while `enabled`
+// -----------------------------------------------------------------------------
+// Returns null on desktops and wherever the browser won't tell; callers then
+// draw north-up instead.
+const useDeviceHeading = (enabled) => {
+  const [heading, setHeading] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) {
+      setHeading(null);
+      return;
+    }
+
+    const handleOrientation = (event) => {
+      const next = headingOf(event);
+      if (next !== null) setHeading(next);
+    };
+    // Chrome only reports north-referenced angles on the "absolute" event
+    const eventName =
+      "ondeviceorientationabsolute" in window
+        ? "deviceorientationabsolute"
+        : "deviceorientation";
+    window.addEventListener(eventName, handleOrientation);
+    return () => window.removeEventListener(eventName, handleOrientation);
+  }, [enabled]);
+
+  // iOS asks for permission, and only from a tap
+  const requestPermission = async () => {
+    const request = window.DeviceOrientationEvent?.requestPermission;
+    if (!request) return true;
+    return (await request()) === "granted";
+  };
+
+  return { heading, requestPermission };
+};
+
+export default useDeviceHeading;
@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from "react";
+
+const STORAGE_KEY = "cansat.groundStation";
+
+const fromCoords = (coords) => ({
+  lat: coords.latitude,
+  lon: coords.longitude,
+  source: "gps",
+  accuracy: coords.accuracy, // m
+});
+
+const loadStation = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// -----------------------------------------------------------------------------
+// 📍 React Hook: ground station position from geolocation or manual entry
+// -----------------------------------------------------------------------------
+// Remembered between sessions: at the launch field there may be no signal
+// good enough for a fresh browser fix. `track` keeps following the operator
+// while they walk to the can during recovery.
+const useGroundStation = () => {
+  const [station, setStation] = useState(loadStation); // { lat, lon, source, accuracy }
+  const [locating, setLocating] = useState(false);
+  const [tracking, setTracking] = useState(false); // Following GPS updates
+  const watchIdRef = useRef(null);
+
+  const save = (next) => {
+    setStation(next);
+    if (next) localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else localStorage.removeItem(STORAGE_KEY);
+  };
+
+  const locate = () =>
+    new Promise((resolve, reject) => {
+      if (!navigator.geolocation) {
+        reject(new Error("Geolocation is not supported in this browser."));
+        return;
+      }
+      setLocating(true);
+      navigator.geolocation.getCurrentPosition(
+        ({ coords }) => {
+          setLocating(false);
+          const next = fromCoords(coords);
+          save(next);
+          resolve(next);
+        },
+        (err) => {
+          setLocating(false);
+          reject(err);
+        },
+        { enableHighAccuracy: true, timeout: 15000 }
+      );
+    });
+
+  const stopTracking = () => {
+    if (watchIdRef.current !== null) {
+      navigator.geolocation.clearWatch(watchIdRef.current);
+    }
+    watchIdRef.current = null;
+    setTracking(false);
+  };
+
+  const track = () => {
+    if (!navigator.geolocation) {
+      throw new Error("Geolocation is not supported in this browser.");
+    }
+    stopTracking();
+    setTracking(true);
+    watchIdRef.current = navigator.geolocation.watchPosition(
+      ({ coords }) => save(fromCoords(coords)),
+      (err) => console.warn("Geolocation watch error:", err),
+      { enableHighAccuracy: true, maximumAge: 2000 }
+    );
+  };
+
+  useEffect(() => stopTracking, []);
+
+  const setManual = (lat, lon) => {
+    stopTracking(); // A typed position would be overwritten by the next fix
+    save({ lat: Number(lat), lon: Number(lon), source: "manual" });
+  };
+
+  const clear = () => save(null);
+
+  return {
+    station,
+    locating,
+    locate,
+    setManual,
+    clear,
+    tracking,
+    track,
+    stopTracking,
+  };
+};
+
+export default useGroundStation;
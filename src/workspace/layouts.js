@@ -0,0 +1,109 @@
+// -----------------------------------------------------------------------------
+// 🧩 Workspace layouts: which widgets, in what order, at what size
+// -----------------------------------------------------------------------------
+// A layout is plain data so it can be kept in localStorage:
+//   { id, name, widgets: [{ id, type, w, h, options }] }
+// Widgets fill a grid of GRID_COLUMNS columns in array order; `w` is the
+// column span and `h` the row span. `options` depends on the type (the field
+// a value tile shows, the channels a chart plots, ...). The helpers return
+// new arrays and never change the one passed in.
+
+export const GRID_COLUMNS = 4;
+export const MAX_HEIGHT = 4;
+
+export const WIDGET_TYPES = {
+  tile: { label: "Value tile", w: 1, h: 1, options: { field: "altitude" } },
+  chart: {
+    label: "Chart",
+    w: 2,
+    h: 2,
+    options: { fields: ["altitude", "verticalSpeed"] },
+  },
+  gps: { label: "GPS panel", w: 2, h: 3, options: {} },
+  commands: { label: "Command panel", w: 2, h: 2, options: {} },
+  log: { label: "Log table", w: 4, h: 2, options: { rows: 20 } },
+  link: { label: "Link status", w: 2, h: 1, options: {} },
+};
+
+let nextId = 0;
+const widgetId = () =>
+  `w-${Date.now().toString(36)}-${(nextId++).toString(36)}`;
+
+export const newWidget = (type, options = {}) => {
+  const { w, h, options: defaults } = WIDGET_TYPES[type];
+  return { id: widgetId(), type, w, h, options: { ...defaults, ...options } };
+};
+
+export const addWidget = (widgets, type, options) => [
+  ...widgets,
+  newWidget(type, options),
+];
+
+export const removeWidget = (widgets, id) =>
+  widgets.filter((widget) => widget.id !== id);
+
+export const updateWidget = (widgets, id, changes) =>
+  widgets.map((widget) =>
+    widget.id === id ? { ...widget, ...changes } : widget
+  );
+
+// Moves a widget to `index` in the order, shifting the ones in between
+export const moveWidget = (widgets, id, index) => {
+  const from = widgets.findIndex((widget) => widget.id === id);
+  if (from === -1) return widgets;
+  const to = Math.max(0, Math.min(index, widgets.length - 1));
+  const next = [...widgets];
+  const [widget] = next.splice(from, 1);
+  next.splice(to, 0, widget);
+  return next;
+};
+
+export const resizeWidget = (widgets, id, { w, h }) =>
+  widgets.map((widget) =>
+    widget.id === id
+      ? {
+          ...widget,
+          w: Math.max(1, Math.min(w ?? widget.w, GRID_COLUMNS)),
+          h: Math.max(1, Math.min(h ?? widget.h, MAX_HEIGHT)),
+        }
+      : widget
+  );
+
+// -----------------------------------------------------------------------------
+// 📐 Built-in layouts
+// -----------------------------------------------------------------------------
+const layout = (id, name, widgets) => ({
+  id,
+  name,
+  widgets: widgets.map(([type, options, size], i) => ({
+    ...newWidget(type, options),
+    ...size,
+    id: `${id}-${i}`,
+  })),
+});
+
+export const DEFAULT_LAYOUTS = [
+  // Everything the flight crew needs at a glance during a launch
+  layout("launch-day", "Launch day", [
+    ["link", {}, { w: 4 }],
+    ["tile", { field: "altitude" }],
+    ["tile", { field: "verticalSpeed" }],
+    ["tile", { field: "battery" }],
+    ["tile", { field: "satellites" }],
+    ["chart", { fields: ["altitude", "verticalSpeed"] }],
+    ["gps", {}],
+    ["commands", {}],
+  ]),
+  // Big readings and the raw log for explaining the sensors in class
+  layout("classroom", "Classroom", [
+    ["tile", { field: "temperature" }, { w: 2 }],
+    ["tile", { field: "pressure" }, { w: 2 }],
+    ["tile", { field: "humidity" }, { w: 2 }],
+    ["tile", { field: "altitude" }, { w: 2 }],
+    ["chart", { fields: ["temperature", "pressure", "humidity"] }, { w: 4 }],
+    ["log", { rows: 10 }],
+    ["link", {}],
+  ]),
+];
+
+export const DEFAULT_LAYOUT_ID = DEFAULT_LAYOUTS[0].id;
@@ -0,0 +1,84 @@
+import { useState } from "react";
+import { DEFAULT_LAYOUT_ID, DEFAULT_LAYOUTS } from "./layouts";
+
+const STORAGE_KEY = "cansat.layouts";
+
+const defaults = () => ({
+  layouts: DEFAULT_LAYOUTS,
+  selectedId: DEFAULT_LAYOUT_ID,
+});
+
+const loadLayouts = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored?.layouts?.length) return stored;
+  } catch {
+    // Fall through to the built-in layouts
+  }
+  return defaults();
+};
+
+// -----------------------------------------------------------------------------
+// 🧩 React Hook: named workspace layouts, saved as they are edited
+// -----------------------------------------------------------------------------
+// Edits go straight into the selected layout, and the selection itself is
+// remembered, so the workspace comes back the way it was left. "Save as"
+// copies the selected layout under a new name and switches to the copy.
+const useLayouts = () => {
+  const [state, setState] = useState(loadLayouts); // { layouts, selectedId }
+
+  const save = (next) => {
+    setState(next);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  };
+
+  const layout =
+    state.layouts.find((entry) => entry.id === state.selectedId) ??
+    state.layouts[0];
+
+  const selectLayout = (id) => save({ ...state, selectedId: id });
+
+  const setWidgets = (widgets) =>
+    save({
+      ...state,
+      layouts: state.layouts.map((entry) =>
+        entry.id === layout.id ? { ...entry, widgets } : entry
+      ),
+    });
+
+  const saveLayoutAs = (name) => {
+    const copy = {
+      id: `layout-${Date.now().toString(36)}`,
+      name,
+      widgets: layout.widgets,
+    };
+    save({ layouts: [...state.layouts, copy], selectedId: copy.id });
+  };
+
+  // The last layout can't go, there'd be nothing to show
+  const deleteLayout = (id) => {
+    const layouts = state.layouts.filter((entry) => entry.id !== id);
+    if (layouts.length === 0) return;
+    save({
+      layouts,
+      selectedId: id === layout.id ? layouts[0].id : state.selectedId,
+    });
+  };
+
+  const resetLayouts = () => {
+    setState(defaults());
+    localStorage.removeItem(STORAGE_KEY);
+  };
+
+  return {
+    layouts: state.layouts,
+    layout,
+    selectLayout,
+    setWidgets,
+    saveLayoutAs,
+    deleteLayout,
+    resetLayouts,
+  };
+};
+
+export default useLayouts;
@@ -2,14 +2,38 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
 import { VitePWA } from "vite-plugin-pwa";
+import { simulatorPlugin } from "./src/simulator/viteSimulatorPlugin";
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     react(),
     tailwindcss(),
+    // Dev only: fake ESP32 at localhost:5173/sim (see viteSimulatorPlugin.js)
+    simulatorPlugin(),
     VitePWA({
       registerType: "autoUpdate",
+      workbox: {
+        // Map tiles are cached as they are viewed so the launch field works
+        // offline; tile packs dropped into public/tiles are served the same way
+        runtimeCaching: [
+          {
+            urlPattern: ({ url }) => /\/\d+\/\d+\/\d+\.png$/.test(url.pathname),
+            handler: "CacheFirst",
+            options: {
+              cacheName: "map-tiles",
+              // Tiles from another server come back opaque (status 0)
+              cacheableResponse: { statuses: [0, 200] },
+              expiration: {
+                maxEntries: 5000,
+                maxAgeSeconds: 30 * 24 * 60 * 60,
+                // Opaque responses count big against the quota
+                purgeOnQuotaError: true,
+              },
+            },
+          },
+        ],
+      },
       manifest: {
         name: "CanSat Ground Control",
         short_name: "CanSat GCS",